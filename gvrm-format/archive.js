@@ -0,0 +1,95 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+// Reading and writing .gvrm zip archives in either layout:
+//   plain:   model.vrm, model.ply, data.json with JSON number arrays
+//   compact: model.vrm, model.splats, data.json with data.sidecars + splats/*.bin
+// The reader detects the layout from the entries present. No three.js or DOM
+// dependencies.
+
+import JSZip from 'jszip';
+import {
+  ARCHIVE_ENTRIES, FORMAT_VERSION, GVRMFormatError,
+  assertArchiveEntries, migrateExtraData, parseExtraData, parsePlyHeader, validateExtraData,
+} from './schema.js';
+import { SIDECAR_FILES, decodeSidecars, decodeSplats, encodeSidecars, encodeSplats } from './encoding.js';
+
+
+export async function openArchive(data, source = 'GVRM archive') {
+  try {
+    return await JSZip.loadAsync(data);
+  } catch (error) {
+    throw new GVRMFormatError(`${source}: not a GVRM archive (${error.message})`,
+      [{ path: source, message: 'could not be read as a zip file' }]);
+  }
+}
+
+export function detectEncoding(zip) {
+  const names = Object.keys(zip.files);
+  return {
+    splats: names.includes(ARCHIVE_ENTRIES.splats) ? 'quantized' : 'ply',
+    metadata: Object.values(SIDECAR_FILES).some((name) => names.includes(name)) ? 'binary' : 'json',
+  };
+}
+
+// Returns { vrm, ply, extraData, plyHeader, encoding }. ply is always a PLY
+// ArrayBuffer and extraData always carries the per-splat arrays, whichever
+// layout the archive used. onProgress(0..1) follows the decompression.
+export async function readArchive(data, { source = 'GVRM archive', onProgress } = {}) {
+  const zip = data instanceof JSZip ? data : await openArchive(data, source);
+  assertArchiveEntries(Object.keys(zip.files), source);
+  const encoding = detectEncoding(zip);
+
+  const vrm = await zip.file(ARCHIVE_ENTRIES.vrm).async('arraybuffer', (meta) => onProgress?.(meta.percent / 200));
+  const splatEntry = encoding.splats === 'quantized' ? ARCHIVE_ENTRIES.splats : ARCHIVE_ENTRIES.ply;
+  const payload = await zip.file(splatEntry).async('arraybuffer', (meta) => onProgress?.(0.5 + meta.percent / 200));
+  const ply = encoding.splats === 'quantized' ? decodeSplats(payload, `${source} (${splatEntry})`) : payload;
+
+  const text = await zip.file(ARCHIVE_ENTRIES.data).async('text');
+  const migrated = migrateExtraData(parseExtraData(text, source), source);
+  const extraData = await decodeSidecars(migrated, (name) => zip.file(name)?.async('arraybuffer') ?? null, source);
+
+  const plyHeader = parsePlyHeader(ply, `${source} (${splatEntry})`);
+  validateExtraData(extraData, { splatCount: plyHeader.vertexCount }, source);
+  onProgress?.(1);
+
+  return { vrm, ply, extraData, plyHeader, encoding };
+}
+
+function _plainArrays(extraData) {
+  const data = { ...extraData };
+  for (const key of Object.keys(SIDECAR_FILES)) {
+    if (ArrayBuffer.isView(data[key])) data[key] = Array.from(data[key]);
+  }
+  return data;
+}
+
+// Builds a JSZip for { vrm, ply, extraData }. With compact: true the splats
+// are stored as model.splats, the per-splat arrays as binary sidecars, and
+// those entries are deflated. bits picks the splat quantization (see
+// encodeSplats); lossless: true keeps every float column and the relative
+// poses at full precision, so only the deflate and layout savings remain.
+// Pass the zip to generateAsync() for bytes.
+export function buildArchive({ vrm, ply, extraData }, {
+  compact = false, lossless = false, bits, quantizePoses = true, source = 'GVRM archive',
+} = {}) {
+  const zip = new JSZip();
+  const data = { ...extraData, formatVersion: FORMAT_VERSION };
+  delete data.sidecars;
+  zip.file(ARCHIVE_ENTRIES.vrm, vrm);
+
+  if (!compact) {
+    zip.file(ARCHIVE_ENTRIES.ply, ply);
+    zip.file(ARCHIVE_ENTRIES.data, JSON.stringify(_plainArrays(data), null, 2));
+    return zip;
+  }
+
+  const deflate = { compression: 'DEFLATE', compressionOptions: { level: 6 } };
+  zip.file(ARCHIVE_ENTRIES.splats, encodeSplats(ply, { bits: lossless ? 32 : bits, source }), deflate);
+  const encoded = encodeSidecars(data, { quantizePoses, lossless });
+  for (const [name, bytes] of Object.entries(encoded.files)) {
+    zip.file(name, bytes, deflate);
+  }
+  zip.file(ARCHIVE_ENTRIES.data, JSON.stringify(encoded.data, null, 2), deflate);
+  return zip;
+}
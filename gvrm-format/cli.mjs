@@ -0,0 +1,272 @@
+#!/usr/bin/env node
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+// Command-line inspector, validator and repacker for .gvrm archives, built on
+// the same schema/encoding/archive modules as gvrm.js (none of which import
+// three.js). Run `npm install` in the repository root first for jszip; after
+// that `npx gvrm <command>` works as well as the node invocations below.
+//
+//   node gvrm-format/cli.mjs info     <file.gvrm>
+//   node gvrm-format/cli.mjs validate <file.gvrm>
+//   node gvrm-format/cli.mjs extract  <file.gvrm> [outDir]
+//   node gvrm-format/cli.mjs pack     <model.vrm> <model.ply> <data.json> -o <out.gvrm> [--compact]
+//   node gvrm-format/cli.mjs convert  <in.gvrm> -o <out.gvrm> --encoding compact|plain
+//
+// Compact output quantizes splats (16 bits, 8 for f_rest_*) and relative poses
+// by default; --bits 8|16|32 sets every float column, --lossless keeps all of
+// them at full precision, --no-quantize-poses only the poses.
+//
+// Every command prints one JSON object to stdout. Exit codes: 0 success,
+// 1 invalid archive or input data, 2 usage error, 3 any other failure.
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import process from 'node:process';
+import {
+  ARCHIVE_ENTRIES, GVRMFormatError, getFormatVersion, migrateExtraData, parseExtraData, parsePlyHeader, validateExtraData,
+} from './schema.js';
+import { buildArchive, detectEncoding, openArchive, readArchive } from './archive.js';
+
+
+const EXIT_OK = 0;
+const EXIT_INVALID = 1;
+const EXIT_USAGE = 2;
+const EXIT_FAILURE = 3;
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-o' || arg === '--out') {
+      flags.out = argv[++i];
+    } else if (arg === '--encoding') {
+      flags.encoding = argv[++i];
+    } else if (arg === '--compact') {
+      flags.encoding = 'compact';
+    } else if (arg === '--no-quantize-poses') {
+      flags.quantizePoses = false;
+    } else if (arg === '--lossless') {
+      flags.lossless = true;
+    } else if (arg === '--bits') {
+      const bits = Number(argv[++i]);
+      if (![8, 16, 32].includes(bits)) {
+        throw new UsageError('--bits needs 8, 16 or 32');
+      }
+      flags.bits = bits;
+    } else if (arg.startsWith('-')) {
+      throw new UsageError(`unknown option ${arg}`);
+    } else {
+      positional.push(arg);
+    }
+  }
+  return { positional, flags };
+}
+
+function requireArgs(positional, count, usage) {
+  if (positional.length < count) {
+    throw new UsageError(`usage: ${usage}`);
+  }
+}
+
+async function readBuffer(file) {
+  const bytes = await readFile(file);
+  return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+}
+
+function histogram(values) {
+  const counts = {};
+  for (let i = 0; i < values.length; i++) {
+    counts[values[i]] = (counts[values[i]] ?? 0) + 1;
+  }
+  return counts;
+}
+
+// GLB header only: enough to tell a VRM 0.x from a 1.0 file without three.js
+function describeVrm(buffer) {
+  const view = new DataView(buffer);
+  if (buffer.byteLength < 20 || view.getUint32(0, true) !== 0x46546c67) {
+    return { bytes: buffer.byteLength, glb: false };
+  }
+  const jsonLength = view.getUint32(12, true);
+  try {
+    const gltf = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 20, jsonLength)));
+    const extensions = gltf.extensionsUsed ?? [];
+    return {
+      bytes: buffer.byteLength,
+      glb: true,
+      vrmVersion: extensions.includes('VRMC_vrm') ? '1.0' : extensions.includes('VRM') ? '0.x' : null,
+      meshes: gltf.meshes?.length ?? 0,
+      skins: gltf.skins?.length ?? 0,
+      joints: gltf.skins?.[0]?.joints?.length ?? 0,
+      skinJoints: (gltf.skins ?? []).map((skin) => skin.joints?.length ?? 0),
+    };
+  } catch {
+    return { bytes: buffer.byteLength, glb: true, vrmVersion: null };
+  }
+}
+
+async function entrySizes(zip) {
+  const sizes = {};
+  for (const [name, entry] of Object.entries(zip.files)) {
+    if (!entry.dir) sizes[name] = (await entry.async('uint8array')).byteLength;
+  }
+  return sizes;
+}
+
+
+async function info([file]) {
+  const buffer = await readBuffer(file);
+  const zip = await openArchive(buffer, file);
+  const rawData = zip.file(ARCHIVE_ENTRIES.data) ?
+    parseExtraData(await zip.file(ARCHIVE_ENTRIES.data).async('text'), file) : null;
+  const { vrm, extraData, plyHeader, encoding } = await readArchive(zip, { source: file });
+  return {
+    file,
+    bytes: buffer.byteLength,
+    formatVersion: rawData ? getFormatVersion(rawData) : null,
+    encoding,
+    splatCount: plyHeader.vertexCount,
+    splatProperties: plyHeader.properties.map((property) => property.name),
+    modelScale: extraData.modelScale ?? null,
+    gsPosition: extraData.gsPosition,
+    gsQuaternion: extraData.gsQuaternion,
+    boneOperations: extraData.boneOperations?.length ?? 0,
+    boneHistogram: histogram(extraData.splatBoneIndices),
+    vrm: describeVrm(vrm),
+    entries: await entrySizes(zip),
+  };
+}
+
+// GVRM.load checks bone indices against the skeleton of the splat-bound
+// skinned mesh, which the three-vrm runtime picks after building the scene.
+// Without three.js the CLI cannot repeat that choice, so it checks against the
+// largest skin in the GLB: an upper bound that never rejects an archive the
+// loader accepts, but can pass one whose indices only fit a different skin.
+function skinLimits(vrm) {
+  const joints = Math.max(0, ...(describeVrm(vrm).skinJoints ?? []));
+  return joints ? { boneCount: joints } : {};
+}
+
+async function validate([file]) {
+  const { vrm, extraData, plyHeader, encoding } = await readArchive(await readBuffer(file), { source: file });
+  const limits = skinLimits(vrm);
+  validateExtraData(extraData, { splatCount: plyHeader.vertexCount, ...limits }, file);
+  return { file, valid: true, splatCount: plyHeader.vertexCount, boneCount: limits.boneCount ?? null, encoding, issues: [] };
+}
+
+async function extract([file, outDir]) {
+  const dir = outDir ?? path.join(path.dirname(file), path.basename(file, path.extname(file)));
+  const { vrm, ply, extraData } = await readArchive(await readBuffer(file), { source: file });
+  const plain = buildArchive({ vrm, ply, extraData });
+  await mkdir(dir, { recursive: true });
+  const written = [];
+  for (const name of [ARCHIVE_ENTRIES.vrm, ARCHIVE_ENTRIES.ply, ARCHIVE_ENTRIES.data]) {
+    const target = path.join(dir, name);
+    await writeFile(target, await plain.file(name).async('uint8array'));
+    written.push(target);
+  }
+  return { file, outDir: dir, files: written };
+}
+
+async function writeArchive(zip, out) {
+  const bytes = await zip.generateAsync({ type: 'uint8array' });
+  await mkdir(path.dirname(path.resolve(out)), { recursive: true });
+  await writeFile(out, bytes);
+  return bytes.byteLength;
+}
+
+function encodingOptions(flags) {
+  return { lossless: flags.lossless ?? false, bits: flags.bits, quantizePoses: flags.quantizePoses ?? true };
+}
+
+async function pack([vrmFile, plyFile, dataFile], flags) {
+  if (!flags.out) throw new UsageError('pack needs -o <out.gvrm>');
+  const [vrm, ply, text] = await Promise.all([readBuffer(vrmFile), readBuffer(plyFile), readFile(dataFile, 'utf8')]);
+  const extraData = migrateExtraData(parseExtraData(text, dataFile), dataFile);
+  const plyHeader = parsePlyHeader(ply, plyFile);
+  validateExtraData(extraData, { splatCount: plyHeader.vertexCount, ...skinLimits(vrm) }, dataFile);
+  const compact = flags.encoding === 'compact';
+  const zip = buildArchive({ vrm, ply, extraData }, { compact, ...encodingOptions(flags), source: plyFile });
+  const bytes = await writeArchive(zip, flags.out);
+  return { out: flags.out, bytes, encoding: compact ? 'compact' : 'plain', splatCount: plyHeader.vertexCount };
+}
+
+async function convert([file], flags) {
+  if (!flags.out) throw new UsageError('convert needs -o <out.gvrm>');
+  if (flags.encoding !== 'compact' && flags.encoding !== 'plain') {
+    throw new UsageError('convert needs --encoding compact|plain');
+  }
+  const input = await readBuffer(file);
+  const zip = await openArchive(input, file);
+  const from = detectEncoding(zip);
+  const { vrm, ply, extraData, plyHeader } = await readArchive(zip, { source: file });
+  const compact = flags.encoding === 'compact';
+  const bytes = await writeArchive(
+    buildArchive({ vrm, ply, extraData }, { compact, ...encodingOptions(flags), source: file }), flags.out);
+  return {
+    file,
+    out: flags.out,
+    from,
+    to: flags.encoding,
+    bytesIn: input.byteLength,
+    bytesOut: bytes,
+    splatCount: plyHeader.vertexCount,
+  };
+}
+
+const commands = {
+  info: { run: info, args: 1, usage: 'info <file.gvrm>' },
+  validate: { run: validate, args: 1, usage: 'validate <file.gvrm>' },
+  extract: { run: extract, args: 1, usage: 'extract <file.gvrm> [outDir]' },
+  pack: {
+    run: pack,
+    args: 3,
+    usage: 'pack <model.vrm> <model.ply> <data.json> -o <out.gvrm> [--compact] [--lossless | --bits 8|16|32]',
+  },
+  convert: {
+    run: convert,
+    args: 1,
+    usage: 'convert <in.gvrm> -o <out.gvrm> --encoding compact|plain [--lossless | --bits 8|16|32]',
+  },
+};
+
+function print(result) {
+  process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+}
+
+async function main(argv) {
+  const [name, ...rest] = argv;
+  const command = commands[name];
+  try {
+    if (!command) {
+      throw new UsageError(`usage: cli.mjs <${Object.keys(commands).join('|')}> …`);
+    }
+    const { positional, flags } = parseArgs(rest);
+    requireArgs(positional, command.args, command.usage);
+    print({ ok: true, command: name, ...(await command.run(positional, flags)) });
+    return EXIT_OK;
+  } catch (error) {
+    if (error instanceof GVRMFormatError) {
+      const file = name === 'validate' ? { file: argv[1], valid: false } : {};
+      print({ ok: false, command: name, ...file, error: error.message, issues: error.issues });
+      return EXIT_INVALID;
+    }
+    if (error instanceof UsageError) {
+      print({ ok: false, command: name ?? null, error: error.message });
+      return EXIT_USAGE;
+    }
+    print({ ok: false, command: name, error: error.message, code: error.code ?? null });
+    return EXIT_FAILURE;
+  }
+}
+
+process.exitCode = await main(process.argv.slice(2));
@@ -0,0 +1,372 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+// Compact encodings for .gvrm payloads:
+//  - binary sidecars for the per-splat arrays in data.json (data.sidecars)
+//  - model.splats, a quantized column-planar replacement for model.ply
+// Both decode back to exactly the shapes the loader already consumes, so
+// nothing downstream of the archive reader needs to know which one was used.
+// No three.js or DOM dependencies.
+
+import { parsePlyHeader, raiseFormatError } from './schema.js';
+
+
+const TYPED_ARRAYS = {
+  int8: Int8Array,
+  uint8: Uint8Array,
+  int16: Int16Array,
+  uint16: Uint16Array,
+  int32: Int32Array,
+  uint32: Uint32Array,
+  float32: Float32Array,
+  float64: Float64Array,
+};
+
+const PLY_TYPES = {
+  char: 'int8', uchar: 'uint8', short: 'int16', ushort: 'uint16',
+  int: 'int32', uint: 'uint32', float: 'float32', double: 'float64',
+  int8: 'int8', uint8: 'uint8', int16: 'int16', uint16: 'uint16',
+  int32: 'int32', uint32: 'uint32', float32: 'float32', float64: 'float64',
+};
+
+const PLY_TYPE_NAMES = {
+  int8: 'char', uint8: 'uchar', int16: 'short', uint16: 'ushort',
+  int32: 'int', uint32: 'uint', float32: 'float', float64: 'double',
+};
+
+const SPLAT_ENCODINGS = ['constant', 'raw', 'uint8', 'uint16'];
+
+const DATA_VIEW_ACCESSORS = {
+  int8: 'Int8', uint8: 'Uint8', int16: 'Int16', uint16: 'Uint16',
+  int32: 'Int32', uint32: 'Uint32', float32: 'Float32', float64: 'Float64',
+};
+
+// typed arrays are written and read in host byte order; the format is little-endian
+function _assertLittleEndian() {
+  if (new Uint8Array(new Uint16Array([1]).buffer)[0] !== 1) {
+    throw new Error('GVRM compact encoding requires a little-endian platform.');
+  }
+}
+
+function _bytesOf(array) {
+  return new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+}
+
+function _smallestIndexType(values) {
+  let max = 0;
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] > max) max = values[i];
+  }
+  return max < 0x100 ? 'uint8' : max < 0x10000 ? 'uint16' : 'uint32';
+}
+
+function _quantize(values, itemSize, levels) {
+  const count = values.length / itemSize;
+  const min = new Array(itemSize).fill(Infinity);
+  const max = new Array(itemSize).fill(-Infinity);
+  for (let i = 0; i < values.length; i++) {
+    const axis = i % itemSize;
+    if (values[i] < min[axis]) min[axis] = values[i];
+    if (values[i] > max[axis]) max[axis] = values[i];
+  }
+  const out = new Uint16Array(count * itemSize);
+  for (let i = 0; i < values.length; i++) {
+    const axis = i % itemSize;
+    const range = max[axis] - min[axis];
+    out[i] = range > 0 ? Math.round(((values[i] - min[axis]) / range) * levels) : 0;
+  }
+  return { array: out, min, max };
+}
+
+function _dequantize(array, itemSize, min, max, levels) {
+  const out = new Float32Array(array.length);
+  for (let i = 0; i < array.length; i++) {
+    const axis = i % itemSize;
+    out[i] = min[axis] + (array[i] / levels) * (max[axis] - min[axis]);
+  }
+  return out;
+}
+
+
+export const SIDECAR_FILES = {
+  splatVertexIndices: 'splats/vertex-indices.bin',
+  splatBoneIndices: 'splats/bone-indices.bin',
+  splatRelativePoses: 'splats/relative-poses.bin',
+};
+
+// Moves the per-splat arrays out of data.json into binary files. Indices use
+// the narrowest unsigned type that fits; relative poses are quantized to 16
+// bits per axis over their own range unless quantizePoses is false, and kept
+// as float64 (exactly the JSON numbers) when lossless is true.
+// Returns { data, files: { [name]: Uint8Array } }.
+export function encodeSidecars(extraData, { quantizePoses = true, lossless = false } = {}) {
+  _assertLittleEndian();
+  const data = { ...extraData };
+  const files = {};
+  const sidecars = {};
+
+  for (const key of ['splatVertexIndices', 'splatBoneIndices']) {
+    const values = extraData[key];
+    if (!values) continue;
+    const type = _smallestIndexType(values);
+    const array = TYPED_ARRAYS[type].from(values);
+    files[SIDECAR_FILES[key]] = _bytesOf(array);
+    sidecars[key] = { file: SIDECAR_FILES[key], type, itemSize: 1, count: array.length };
+    delete data[key];
+  }
+
+  const poses = extraData.splatRelativePoses;
+  if (poses) {
+    const file = SIDECAR_FILES.splatRelativePoses;
+    if (quantizePoses && !lossless) {
+      const { array, min, max } = _quantize(poses, 3, 0xffff);
+      files[file] = _bytesOf(array);
+      sidecars.splatRelativePoses = { file, type: 'uint16', itemSize: 3, count: array.length / 3, min, max };
+    } else {
+      const type = lossless ? 'float64' : 'float32';
+      const array = TYPED_ARRAYS[type].from(poses);
+      files[file] = _bytesOf(array);
+      sidecars.splatRelativePoses = { file, type, itemSize: 3, count: array.length / 3 };
+    }
+    delete data.splatRelativePoses;
+  }
+
+  data.sidecars = sidecars;
+  return { data, files };
+}
+
+// readFile(name) resolves with an ArrayBuffer, or null when the entry is missing.
+// Returns a copy of data with the arrays restored as typed arrays.
+export async function decodeSidecars(data, readFile, source = 'GVRM archive') {
+  if (!data.sidecars) return data;
+  _assertLittleEndian();
+  const decoded = { ...data };
+  delete decoded.sidecars;
+  const issues = [];
+
+  for (const [key, spec] of Object.entries(data.sidecars)) {
+    const path = `sidecars.${key}`;
+    const Typed = TYPED_ARRAYS[spec?.type];
+    const itemSize = spec?.itemSize ?? 1;
+    if (!Typed || !Number.isInteger(spec.count) || spec.count < 0) {
+      issues.push({ path, message: `has an unsupported type or count (${JSON.stringify(spec)})` });
+      continue;
+    }
+    const buffer = await readFile(spec.file);
+    if (!buffer) {
+      issues.push({ path, message: `${spec.file} not found in archive` });
+      continue;
+    }
+    const expected = spec.count * itemSize * Typed.BYTES_PER_ELEMENT;
+    if (buffer.byteLength !== expected) {
+      issues.push({ path, message: `${spec.file} is ${buffer.byteLength} bytes, expected ${expected}` });
+      continue;
+    }
+    // copy so the view is aligned whatever the reader handed back
+    const array = new Typed(buffer.slice(0));
+    decoded[key] = spec.min && spec.max ? _dequantize(array, itemSize, spec.min, spec.max, 0xffff) : array;
+  }
+
+  if (issues.length) {
+    raiseFormatError(source, 'binary sidecars are invalid', issues);
+  }
+  return decoded;
+}
+
+
+export const SPLAT_MAGIC = 'GSPL';
+export const SPLAT_FORMAT_VERSION = 1;
+
+// PLY properties that tolerate 8-bit precision (view-dependent colour terms)
+function _defaultBits(name) {
+  return name.startsWith('f_rest_') ? 8 : 16;
+}
+
+function _align4(value) {
+  return (value + 3) & ~3;
+}
+
+// Converts a binary_little_endian Gaussian splat PLY into model.splats:
+//   'GSPL' | uint32 header length | JSON header | columns (each 4-byte aligned)
+// Each vertex property becomes one column. Float properties are quantized to
+// 8 or 16 bits over their own [min, max], or kept raw at 32 (lossless);
+// bits is one of those numbers or a function of the property name. Constant
+// columns store no data at all; integer properties and columns with
+// non-finite values are kept raw.
+export function encodeSplats(plyBuffer, { bits = _defaultBits, source = 'model.ply' } = {}) {
+  _assertLittleEndian();
+  const header = parsePlyHeader(plyBuffer, source);
+  if (header.format !== 'binary_little_endian') {
+    raiseFormatError(source, 'only binary_little_endian PLY files can be compacted',
+      [{ path: 'format', message: `is ${header.format}` }]);
+  }
+  const extra = header.elements.filter((element) => element.name !== 'vertex' && element.count > 0);
+  if (extra.length) {
+    raiseFormatError(source, 'only vertex elements can be compacted',
+      extra.map((element) => ({ path: `element ${element.name}`, message: `${element.count} entries` })));
+  }
+
+  const properties = header.properties.map((property) => ({ name: property.name, type: PLY_TYPES[property.type] }));
+  const unsupported = properties.filter((property) => !property.type);
+  if (unsupported.length) {
+    raiseFormatError(source, 'PLY uses unsupported property types',
+      unsupported.map((property) => ({ path: property.name, message: 'list or unknown type' })));
+  }
+
+  const count = header.vertexCount;
+  const offsets = [];
+  let stride = 0;
+  for (const property of properties) {
+    offsets.push(stride);
+    stride += TYPED_ARRAYS[property.type].BYTES_PER_ELEMENT;
+  }
+  if (plyBuffer.byteLength < header.headerLength + count * stride) {
+    raiseFormatError(source, 'PLY body is truncated',
+      [{ path: 'model.ply', message: `${plyBuffer.byteLength} bytes, expected at least ${header.headerLength + count * stride}` }]);
+  }
+
+  const view = new DataView(plyBuffer, header.headerLength);
+  const columns = properties.map((property, index) => {
+    const accessor = `get${DATA_VIEW_ACCESSORS[property.type]}`;
+    const Typed = TYPED_ARRAYS[property.type];
+    const values = new Typed(count);
+    let min = Infinity;
+    let max = -Infinity;
+    let finite = true;
+    for (let i = 0; i < count; i++) {
+      const value = view[accessor](i * stride + offsets[index], true);
+      values[i] = value;
+      if (!Number.isFinite(value)) finite = false;
+      if (value < min) min = value;
+      if (value > max) max = value;
+    }
+
+    const isFloat = property.type === 'float32' || property.type === 'float64';
+    const columnBits = typeof bits === 'function' ? bits(property.name) : bits;
+    if (![8, 16, 32].includes(columnBits)) {
+      throw new Error(`Unsupported quantization for ${property.name}: ${columnBits} bits (expected 8, 16 or 32).`);
+    }
+    if (count > 0 && finite && min === max) {
+      return { spec: { ...property, encoding: 'constant', value: min }, data: null };
+    }
+    if (!isFloat || !finite || count === 0 || columnBits === 32) {
+      return { spec: { ...property, encoding: 'raw' }, data: values };
+    }
+    const levels = columnBits === 8 ? 0xff : 0xffff;
+    const QuantTyped = columnBits === 8 ? Uint8Array : Uint16Array;
+    const quantized = new QuantTyped(count);
+    const scale = levels / (max - min);
+    for (let i = 0; i < count; i++) {
+      quantized[i] = Math.round((values[i] - min) * scale);
+    }
+    return { spec: { ...property, encoding: columnBits === 8 ? 'uint8' : 'uint16', min, max }, data: quantized };
+  });
+
+  const headerBytes = new TextEncoder().encode(JSON.stringify({
+    version: SPLAT_FORMAT_VERSION,
+    count,
+    properties: columns.map((column) => column.spec),
+  }));
+  let length = _align4(8 + headerBytes.byteLength);
+  const columnOffsets = columns.map((column) => {
+    const offset = length;
+    length += column.data ? _align4(column.data.byteLength) : 0;
+    return offset;
+  });
+
+  const out = new Uint8Array(length);
+  out.set(new TextEncoder().encode(SPLAT_MAGIC), 0);
+  new DataView(out.buffer).setUint32(4, headerBytes.byteLength, true);
+  out.set(headerBytes, 8);
+  columns.forEach((column, index) => {
+    if (column.data) out.set(_bytesOf(column.data), columnOffsets[index]);
+  });
+  return out;
+}
+
+export function isSplatBuffer(buffer) {
+  const bytes = new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength));
+  return String.fromCharCode(...bytes) === SPLAT_MAGIC;
+}
+
+export function readSplatHeader(buffer, source = 'model.splats') {
+  if (buffer.byteLength < 8 || !isSplatBuffer(buffer)) {
+    raiseFormatError(source, 'not a compact splat file', [{ path: source, message: `missing ${SPLAT_MAGIC} magic` }]);
+  }
+  const headerLength = new DataView(buffer).getUint32(4, true);
+  let header;
+  try {
+    header = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 8, headerLength)));
+  } catch (error) {
+    raiseFormatError(source, 'compact splat header is unreadable', [{ path: 'header', message: error.message }]);
+  }
+  if (header.version > SPLAT_FORMAT_VERSION) {
+    raiseFormatError(source, `compact splat version ${header.version} is newer than this loader supports (${SPLAT_FORMAT_VERSION})`,
+      [{ path: 'version', message: `${header.version} > ${SPLAT_FORMAT_VERSION}` }]);
+  }
+  const invalid = (header.properties ?? []).filter((property) =>
+    !TYPED_ARRAYS[property.type] || !SPLAT_ENCODINGS.includes(property.encoding));
+  if (!Number.isInteger(header.count) || !Array.isArray(header.properties) || invalid.length) {
+    raiseFormatError(source, 'compact splat header is invalid',
+      invalid.length ?
+        invalid.map((property) => ({ path: property.name, message: `type ${property.type}, encoding ${property.encoding}` })) :
+        [{ path: 'header', message: 'count or properties missing' }]);
+  }
+  return { ...header, dataOffset: _align4(8 + headerLength) };
+}
+
+// Rebuilds a binary_little_endian PLY with the original property layout, so
+// the existing PLY parsing and splitting path can consume it unchanged.
+export function decodeSplats(buffer, source = 'model.splats') {
+  _assertLittleEndian();
+  const header = readSplatHeader(buffer, source);
+  const { count, properties } = header;
+
+  const plyHeaderLines = ['ply', 'format binary_little_endian 1.0', `element vertex ${count}`];
+  properties.forEach((property) => plyHeaderLines.push(`property ${PLY_TYPE_NAMES[property.type]} ${property.name}`));
+  plyHeaderLines.push('end_header', '');
+  const plyHeader = new TextEncoder().encode(plyHeaderLines.join('\n'));
+
+  const offsets = [];
+  let stride = 0;
+  for (const property of properties) {
+    offsets.push(stride);
+    stride += TYPED_ARRAYS[property.type].BYTES_PER_ELEMENT;
+  }
+
+  const out = new Uint8Array(plyHeader.byteLength + count * stride);
+  out.set(plyHeader, 0);
+  const view = new DataView(out.buffer, plyHeader.byteLength);
+
+  let offset = header.dataOffset;
+  const issues = [];
+  properties.forEach((property, index) => {
+    const setter = `set${DATA_VIEW_ACCESSORS[property.type]}`;
+    const at = (i) => i * stride + offsets[index];
+    if (property.encoding === 'constant') {
+      for (let i = 0; i < count; i++) view[setter](at(i), property.value, true);
+      return;
+    }
+    const Typed = property.encoding === 'raw' ? TYPED_ARRAYS[property.type] :
+      property.encoding === 'uint8' ? Uint8Array : Uint16Array;
+    const byteLength = count * Typed.BYTES_PER_ELEMENT;
+    if (offset + byteLength > buffer.byteLength) {
+      issues.push({ path: property.name, message: 'column data is truncated' });
+      return;
+    }
+    const column = new Typed(buffer.slice(offset, offset + byteLength));
+    offset += _align4(byteLength);
+    if (property.encoding === 'raw') {
+      for (let i = 0; i < count; i++) view[setter](at(i), column[i], true);
+      return;
+    }
+    const levels = property.encoding === 'uint8' ? 0xff : 0xffff;
+    const step = (property.max - property.min) / levels;
+    for (let i = 0; i < count; i++) view[setter](at(i), property.min + column[i] * step, true);
+  });
+
+  if (issues.length) {
+    raiseFormatError(source, 'compact splat data is invalid', issues);
+  }
+  return out.buffer;
+}
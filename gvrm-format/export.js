@@ -0,0 +1,115 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+// Serializes an avatar from in-memory buffers rather than re-fetching its
+// source files, so runtime splat edits survive. No three.js or DOM
+// dependencies; GVRM.export() gathers the inputs from a live instance.
+
+import { parsePlyHeader, raiseFormatError } from './schema.js';
+import { buildArchive } from './archive.js';
+
+
+const SH_C0 = 0.28209479177387814;
+
+// channels: [first, last) of the RGBA quadruple to compare
+function _channelsChanged(colors, baseColors, index, first, last) {
+  if (!baseColors) return false;
+  for (let c = first; c < last; c++) {
+    if (Math.abs(colors[index * 4 + c] - baseColors[index * 4 + c]) > 0.5) return true;
+  }
+  return false;
+}
+
+function _logit(value) {
+  const p = Math.min(Math.max(value, 1e-6), 1 - 1e-6);
+  return Math.log(p / (1 - p));
+}
+
+// Rewrites a binary PLY into runtime splat order and folds in edits:
+//   order       runtime index -> source PLY row (splats are regrouped by bone on load)
+//   colors      current RGBA 0..255 per runtime splat
+//   baseColors  RGBA as first uploaded; only channels that differ are rewritten,
+//               so an opacity-only edit keeps the exact source f_dc_* values
+//               and untouched splats keep every source value
+// Splats whose alpha is 0 are dropped unless dropHidden is false, along with
+// their entries in the per-splat arrays of extraData.
+// Returns { ply, extraData, splatCount, removed }.
+export function bakeSplatEdits({ ply, extraData, order, colors, baseColors }, { dropHidden = true, source = 'model.ply' } = {}) {
+  if (ArrayBuffer.isView(ply)) {
+    ply = ply.buffer.slice(ply.byteOffset, ply.byteOffset + ply.byteLength);
+  }
+  const header = parsePlyHeader(ply, source);
+  if (header.format !== 'binary_little_endian') {
+    raiseFormatError(source, 'only binary_little_endian PLY files can be exported',
+      [{ path: 'format', message: `is ${header.format}` }]);
+  }
+
+  const sizes = { char: 1, uchar: 1, int8: 1, uint8: 1, short: 2, ushort: 2, int16: 2, uint16: 2,
+    int: 4, uint: 4, int32: 4, uint32: 4, float: 4, float32: 4, double: 8, float64: 8 };
+  const offsets = {};
+  let stride = 0;
+  for (const property of header.properties) {
+    if (!sizes[property.type]) {
+      raiseFormatError(source, 'PLY uses unsupported property types', [{ path: property.name, message: property.type }]);
+    }
+    const isFloat32 = property.type === 'float' || property.type === 'float32';
+    offsets[property.name] = isFloat32 ? stride : undefined;
+    stride += sizes[property.type];
+  }
+  const colorOffsets = ['f_dc_0', 'f_dc_1', 'f_dc_2', 'opacity'].map((name) => offsets[name]);
+  const canWriteColor = colorOffsets.every((offset) => offset !== undefined);
+
+  const count = header.vertexCount;
+  const kept = [];
+  for (let i = 0; i < count; i++) {
+    if (dropHidden && colors && colors[i * 4 + 3] === 0) continue;
+    kept.push(i);
+  }
+
+  const body = new Uint8Array(ply, header.headerLength, count * stride);
+  const headerText = new TextDecoder().decode(new Uint8Array(ply, 0, header.headerLength))
+    .replace(/element vertex \d+/, `element vertex ${kept.length}`);
+  const headerBytes = new TextEncoder().encode(headerText);
+  const out = new Uint8Array(headerBytes.byteLength + kept.length * stride);
+  out.set(headerBytes, 0);
+  const view = new DataView(out.buffer, headerBytes.byteLength);
+
+  kept.forEach((runtimeIndex, row) => {
+    const sourceRow = order ? order[runtimeIndex] : runtimeIndex;
+    out.set(body.subarray(sourceRow * stride, (sourceRow + 1) * stride), headerBytes.byteLength + row * stride);
+    if (!canWriteColor || !colors) return;
+    if (_channelsChanged(colors, baseColors, runtimeIndex, 0, 3)) {
+      for (let c = 0; c < 3; c++) {
+        view.setFloat32(row * stride + colorOffsets[c], (colors[runtimeIndex * 4 + c] / 255 - 0.5) / SH_C0, true);
+      }
+    }
+    if (_channelsChanged(colors, baseColors, runtimeIndex, 3, 4)) {
+      view.setFloat32(row * stride + colorOffsets[3], _logit(colors[runtimeIndex * 4 + 3] / 255), true);
+    }
+  });
+
+  const data = { ...extraData };
+  for (const key of ['splatVertexIndices', 'splatBoneIndices']) {
+    if (data[key]) data[key] = kept.map((index) => data[key][index]);
+  }
+  if (data.splatRelativePoses) {
+    const poses = extraData.splatRelativePoses;
+    data.splatRelativePoses = kept.flatMap((index) => [poses[index * 3], poses[index * 3 + 1], poses[index * 3 + 2]]);
+  }
+
+  return { ply: out.buffer, extraData: data, splatCount: kept.length, removed: count - kept.length };
+}
+
+function _defaultOutputType() {
+  const isNode = typeof globalThis.process?.versions?.node === 'string';
+  return typeof Blob !== 'undefined' && !isNode ? 'blob' : 'arraybuffer';
+}
+
+// Bakes edits and zips the result. compact, lossless and bits are passed to
+// buildArchive. type is any JSZip output type; it defaults to 'blob' in
+// browsers and workers and 'arraybuffer' under Node.
+export async function exportArchive(parts, { compact = false, lossless = false, bits, dropHidden = true, type, source = 'GVRM' } = {}) {
+  const baked = bakeSplatEdits(parts, { dropHidden, source });
+  const zip = buildArchive({ vrm: parts.vrm, ply: baked.ply, extraData: baked.extraData }, { compact, lossless, bits, source });
+  return zip.generateAsync({ type: type ?? _defaultOutputType() });
+}
@@ -3,11 +3,27 @@
 
 
 import * as THREE from 'three';
-import * as GVRMUtils from './utils.js';
-import { VRMCharacter } from './vrm.js';
-import { GaussianSplatting } from './gs.js';
-import { PLYParser } from './ply.js';
-import JSZip from 'jszip'
+// the rendering runtime is not vendored here: these resolve through the page's
+// import map to the hosted gvrm-format build this file was taken from
+import * as GVRMUtils from 'gvrm-format/utils.js';
+import { VRMCharacter } from 'gvrm-format/vrm.js';
+import { GaussianSplatting } from 'gvrm-format/gs.js';
+import { PLYParser } from 'gvrm-format/ply.js';
+import { createProgressReporter, fetchWithProgress } from './progress.js';
+import { validateExtraData } from './schema.js';
+import { buildArchive, readArchive } from './archive.js';
+import { exportArchive } from './export.js';
+
+
+// share of the overall progress bar each load stage accounts for
+export const LOAD_STAGES = {
+  download: 0.45,
+  unzip: 0.15,
+  vrm: 0.1,
+  split: 0.1,
+  upload: 0.15,
+  texture: 0.05,
+};
 
 
 export class GVRM extends THREE.Group {
@@ -99,13 +115,25 @@ export class GVRM extends THREE.Group {
   }
 
 
-  static async load(url, scene, camera, renderer, fileName) {
+  // options.onProgress receives { stage, progress, overall, loaded?, total? } for
+  // the stages in LOAD_STAGES; options.signal aborts the load between stages
+  // and disposes whatever was already built.
+  static async load(url, scene, camera, renderer, fileName, { onProgress, signal } = {}) {
     console.log('Loading GVRM:', url);
-    const response = await fetch(url);
-    const zip = await JSZip.loadAsync(response.arrayBuffer());
-    const vrmBuffer = await zip.file('model.vrm').async('arraybuffer');
-    const plyBuffer = await zip.file('model.ply').async('arraybuffer');
-    const extraData = JSON.parse(await zip.file('data.json').async('text'));
+    const report = createProgressReporter(LOAD_STAGES, onProgress);
+    signal?.throwIfAborted();
+    const archive = await fetchWithProgress(url, {
+      signal,
+      onProgress: ({ progress, loaded, total }) => report('download', progress, { loaded, total }),
+    });
+
+    signal?.throwIfAborted();
+    report('unzip', 0);
+    // plain and compact archives both come back as a PLY buffer plus array-bearing extraData
+    const { vrm: vrmBuffer, ply: plyBuffer, extraData, plyHeader } = await readArchive(archive, {
+      source: url,
+      onProgress: (progress) => report('unzip', progress),
+    });
 
     const vrmBlob = new Blob([vrmBuffer], { type: 'application/octet-stream' });
     const vrmUrl = URL.createObjectURL(vrmBlob);
@@ -116,21 +144,52 @@ export class GVRM extends THREE.Group {
     const modelScale = extraData.modelScale;
     const boneOperations = extraData.boneOperations;
 
-    if (extraData.splatRelativePoses === undefined) {  // TODO: remove
-      extraData.splatRelativePoses = extraData.relativePoses;
+    let character = null;
+    let gs = null;
+    let boneSceneMap;
+    let splatOrder;
+    try {
+      signal?.throwIfAborted();
+      report('vrm', 0);
+      character = await GVRM.initVRM(
+        vrmUrl, scene, camera, renderer, modelScale, boneOperations);
+      const skinnedMesh = character.currentVrm.scene.children[character.skinnedMeshIndex];
+      validateExtraData(extraData, {
+        splatCount: plyHeader.vertexCount,
+        boneCount: skinnedMesh.skeleton.bones.length,
+        vertexCount: skinnedMesh.geometry.attributes.position.count,
+      }, url);
+      report('vrm', 1);
+
+      signal?.throwIfAborted();
+      report('split', 0);
+      // dynamic sort (choose one splat sort)
+      const sorted = GVRM.sortSplatsByBones(extraData);
+      const sceneSplatIndices = sorted.sceneSplatIndices;
+      boneSceneMap = sorted.boneSceneMap;
+      // runtime splat i is source PLY row splatOrder[i], since splats are regrouped by bone
+      splatOrder = Uint32Array.from(
+        Object.keys(sceneSplatIndices).flatMap((_, i) => sceneSplatIndices[i]));
+      // const { sceneSplatIndices, vertexSceneMap } = GVRM.sortSplatsByVertices(extraData);
+      const parser = new PLYParser();
+      const sceneUrls  = await parser.splitPLY(plyUrl, sceneSplatIndices);
+      report('split', 1);
+
+      signal?.throwIfAborted();
+      report('upload', 0);
+      gs = await GVRM.initGS(sceneUrls, extraData.gsPosition, extraData.gsQuaternion, scene);
+      report('upload', 1);
+      signal?.throwIfAborted();
+    } catch (error) {
+      // do not leave a half-built avatar in the scene
+      if (character) await character.leave(scene);
+      if (gs) await gs.viewer.dispose();
+      URL.revokeObjectURL(vrmUrl);
+      URL.revokeObjectURL(plyUrl);
+      throw error;
     }
 
-    const character = await GVRM.initVRM(
-      vrmUrl, scene, camera, renderer, modelScale, boneOperations);
-
-    // dynamic sort (choose one splat sort)
-    const { sceneSplatIndices, boneSceneMap } = GVRM.sortSplatsByBones(extraData);
-    // const { sceneSplatIndices, vertexSceneMap } = GVRM.sortSplatsByVertices(extraData);
-    const parser = new PLYParser();
-    const sceneUrls  = await parser.splitPLY(plyUrl, sceneSplatIndices);
-
-    const gs = await GVRM.initGS(sceneUrls, extraData.gsPosition, extraData.gsQuaternion, scene);
-
+    report('texture', 0);
     const gvrm = new GVRM(character, gs);
     gvrm.modelScale = modelScale;
     gvrm.boneOperations = boneOperations;
@@ -138,6 +197,11 @@ export class GVRM extends THREE.Group {
     gvrm.boneSceneMap = boneSceneMap;
     // gvrm.vertexSceneMap = vertexSceneMap;
     gvrm.fileName = fileName;
+    // the blobs back vrmUrl / plyUrl already, so keeping them costs no extra memory
+    gvrm.source = { vrm: vrmBlob, ply: plyBlob };
+    gvrm.splatOrder = splatOrder;
+    gvrm.gsPosition = extraData.gsPosition;
+    gvrm.gsQuaternion = extraData.gsQuaternion;
 
     gvrm.updatePMC();
     GVRMUtils.addPMC(scene, gvrm.pmc);
@@ -148,6 +212,7 @@ export class GVRM extends THREE.Group {
     gvrm.gs.splatBoneIndices = extraData.splatBoneIndices;
     gvrm.gs.splatRelativePoses = extraData.splatRelativePoses;
     GVRM.gsCustomizeMaterial(character, gs);
+    report('texture', 0.5);
 
     // cleanup splats that are too far from the associated bone
     for (let i = 0; i < gvrm.gs.splatCount; i++) {
@@ -193,11 +258,15 @@ export class GVRM extends THREE.Group {
 
 
     gvrm.isReady = true
+    report('texture', 1);
+    report('done', 1);
 
     return gvrm;
   }
 
-  static async save(gvrm, vrmPath, gsPath, boneOperations, modelScale, fileName, savePly=false) {
+  // options.compact stores quantized splats and binary sidecars instead of PLY + JSON arrays;
+  // options.lossless keeps those at full float precision, options.bits picks the quantization
+  static async save(gvrm, vrmPath, gsPath, boneOperations, modelScale, fileName, savePly=false, { compact = false, lossless = false, bits } = {}) {
     const vrmBuffer = await fetch(vrmPath).then(response => response.arrayBuffer());
     const plyBuffer = await fetch(gsPath).then(response => response.arrayBuffer());
 
@@ -211,11 +280,7 @@ export class GVRM extends THREE.Group {
       splatRelativePoses: gvrm.gs.splatRelativePoses,
     };
 
-    const zip = new JSZip();
-
-    zip.file('model.vrm', vrmBuffer);
-    zip.file('model.ply', plyBuffer);
-    zip.file('data.json', JSON.stringify(extraData, null, 2));
+    const zip = buildArchive({ vrm: vrmBuffer, ply: plyBuffer, extraData }, { compact, lossless, bits, source: gsPath });
 
     const content = await zip.generateAsync({ type: 'blob' });
 
@@ -253,6 +318,38 @@ export class GVRM extends THREE.Group {
   }
 
 
+  // Serializes a loaded avatar from memory: the VRM and splats it was loaded
+  // from, with colour/opacity edits baked in and hidden splats (alpha 0, e.g.
+  // from the far-splat cleanup) dropped unless dropHidden is false. Resolves
+  // with a Blob in browsers and workers, or the requested JSZip output type.
+  static async export(gvrm, { compact = false, lossless = false, bits, dropHidden = true, type } = {}) {
+    if (!gvrm.source || !gvrm.gs) {
+      throw new Error('GVRM.export() needs an avatar loaded with GVRM.load().');
+    }
+    const [vrm, ply] = await Promise.all([gvrm.source.vrm.arrayBuffer(), gvrm.source.ply.arrayBuffer()]);
+    const extraData = {
+      modelScale: gvrm.modelScale,
+      boneOperations: gvrm.boneOperations,
+      gsPosition: gvrm.gsPosition,
+      gsQuaternion: gvrm.gsQuaternion,
+      splatVertexIndices: gvrm.gs.splatVertexIndices,
+      splatBoneIndices: gvrm.gs.splatBoneIndices,
+      splatRelativePoses: gvrm.gs.splatRelativePoses,
+      metadata: {
+        exportedAt: new Date().toISOString(),
+        sourceFile: gvrm.fileName ?? null,
+      },
+    };
+    return exportArchive({
+      vrm,
+      ply,
+      extraData,
+      order: gvrm.splatOrder,
+      colors: gvrm.gs.colors,
+      baseColors: gvrm.gs.colors0,
+    }, { compact, lossless, bits, dropHidden, type, source: gvrm.fileName ?? 'GVRM' });
+  }
+
   static async remove(gvrm, scene) {
     if (gvrm.character) {
       await gvrm.character.leave(scene);
@@ -269,8 +366,8 @@ export class GVRM extends THREE.Group {
     }
   }
 
-  async load(url, scene, camera, renderer, fileName=null) {
-    const _gvrm = await GVRM.load(url, scene, camera, renderer, fileName);
+  async load(url, scene, camera, renderer, fileName=null, options={}) {
+    const _gvrm = await GVRM.load(url, scene, camera, renderer, fileName, options);
 
     // TODO: refactor
     this.character = _gvrm.character;
@@ -282,11 +379,19 @@ export class GVRM extends THREE.Group {
     this.boneSceneMap = _gvrm.boneSceneMap;
     this.vertexSceneMap = _gvrm.vertexSceneMap;
     this.fileName = _gvrm.fileName;
+    this.source = _gvrm.source;
+    this.splatOrder = _gvrm.splatOrder;
+    this.gsPosition = _gvrm.gsPosition;
+    this.gsQuaternion = _gvrm.gsQuaternion;
     this.isReady = true;
   }
 
-  async save(vrmPath, gsPath, boneOperations, modelScale, fileName, savePly=false) {
-    await GVRM.save(this, vrmPath, gsPath, boneOperations, modelScale, fileName, savePly);
+  async save(vrmPath, gsPath, boneOperations, modelScale, fileName, savePly=false, options={}) {
+    await GVRM.save(this, vrmPath, gsPath, boneOperations, modelScale, fileName, savePly, options);
+  }
+
+  async export(options) {
+    return GVRM.export(this, options);
   }
 
   async remove(scene) {
@@ -686,4 +791,5 @@ export class GVRM extends THREE.Group {
 }
 
 
-export * as GVRMUtils from './utils.js';
\ No newline at end of file
+export * as GVRMUtils from 'gvrm-format/utils.js';
+export { FORMAT_VERSION, GVRMFormatError } from './schema.js';
\ No newline at end of file
@@ -0,0 +1,63 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+// Staged progress reporting and a byte-counting fetch, shared by the GVRM
+// loader and the app's own loaders. No three.js or DOM dependencies.
+
+
+// weights: { stage: share of the bar }, in the order the stages run.
+// Returns report(stage, progress 0..1, detail), which calls
+// onProgress({ stage, progress, overall, ...detail }); 'done' is always 100%.
+export function createProgressReporter(weights, onProgress) {
+  const stages = Object.keys(weights);
+  return (stage, progress = 0, detail = {}) => {
+    if (!onProgress) return;
+    const clamped = Math.min(Math.max(progress, 0), 1);
+    let overall = 0;
+    for (const name of stages) {
+      if (name === stage) {
+        overall += weights[name] * clamped;
+        break;
+      }
+      overall += weights[name];
+    }
+    onProgress({ stage, progress: clamped, overall: stage === 'done' ? 1 : overall, ...detail });
+  };
+}
+
+// Reads the body chunk by chunk so large files report bytes as they arrive.
+// Resolves with an ArrayBuffer; onProgress({ loaded, total, progress }) per chunk,
+// where total is 0 when the server sends no Content-Length.
+export async function fetchWithProgress(url, { signal, onProgress } = {}) {
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${url}: ${response.status} ${response.statusText}`);
+  }
+  const total = Number(response.headers.get('Content-Length')) || 0;
+  if (!response.body) {
+    const buffer = await response.arrayBuffer();
+    onProgress?.({ loaded: buffer.byteLength, total: buffer.byteLength, progress: 1 });
+    return buffer;
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  onProgress?.({ loaded, total, progress: 0 });
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.byteLength;
+    onProgress?.({ loaded, total, progress: total ? loaded / total : 0 });
+  }
+
+  const bytes = new Uint8Array(loaded);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  onProgress?.({ loaded, total: loaded, progress: 1 });
+  return bytes.buffer;
+}
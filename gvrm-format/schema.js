@@ -0,0 +1,239 @@
+// Copyright (c) 2025 naruya
+// Licensed under the MIT License. See LICENSE file in the project root for full license information.
+
+// data.json schema for .gvrm archives. No three.js or DOM dependencies, so the
+// loader, exporter and command line tools can all share it.
+
+
+export const FORMAT_VERSION = 2;
+
+export const ARCHIVE_ENTRIES = {
+  vrm: 'model.vrm',
+  ply: 'model.ply',
+  splats: 'model.splats',  // compact alternative to model.ply, see encoding.js
+  data: 'data.json',
+};
+
+export class GVRMFormatError extends Error {
+  // issues: [{ path, message }]
+  constructor(message, issues = []) {
+    super(message);
+    this.name = 'GVRMFormatError';
+    this.issues = issues;
+  }
+}
+
+export function raiseFormatError(source, summary, issues = []) {
+  const details = issues.slice(0, 5).map((issue) => `${issue.path}: ${issue.message}`);
+  if (issues.length > 5) details.push(`…and ${issues.length - 5} more`);
+  const message = details.length ? `${source}: ${summary}\n  ${details.join('\n  ')}` : `${source}: ${summary}`;
+  throw new GVRMFormatError(message, issues);
+}
+
+
+export function assertArchiveEntries(names, source = 'GVRM archive') {
+  const missing = [ARCHIVE_ENTRIES.vrm, ARCHIVE_ENTRIES.data].filter((name) => !names.includes(name));
+  if (!names.includes(ARCHIVE_ENTRIES.ply) && !names.includes(ARCHIVE_ENTRIES.splats)) {
+    missing.push(`${ARCHIVE_ENTRIES.ply} (or ${ARCHIVE_ENTRIES.splats})`);
+  }
+  if (missing.length) {
+    raiseFormatError(source, `missing ${missing.join(', ')}`,
+      missing.map((name) => ({ path: name, message: 'entry not found in archive' })));
+  }
+}
+
+export function parseExtraData(text, source = 'GVRM archive') {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    raiseFormatError(source, 'data.json is not valid JSON', [{ path: 'data.json', message: error.message }]);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    raiseFormatError(source, 'data.json must contain an object', [{ path: 'data.json', message: 'expected an object' }]);
+  }
+  return data;
+}
+
+
+// Each migration upgrades data.json from `from` to `from + 1`.
+// Files written before formatVersion existed count as version 0.
+const migrations = [
+  {
+    from: 0,
+    description: 'rename relativePoses to splatRelativePoses',
+    migrate(data) {
+      if (data.splatRelativePoses === undefined && data.relativePoses !== undefined) {
+        data.splatRelativePoses = data.relativePoses;
+      }
+      delete data.relativePoses;
+    },
+  },
+  {
+    from: 1,
+    // version 2 readers also accept binary sidecars (data.sidecars); plain files need no change
+    description: 'allow binary splat sidecars',
+    migrate() {},
+  },
+];
+
+export function getFormatVersion(data) {
+  return data.formatVersion ?? 0;
+}
+
+// returns an upgraded copy; the input object is left untouched
+export function migrateExtraData(data, source = 'GVRM archive') {
+  const version = getFormatVersion(data);
+  if (!Number.isInteger(version) || version < 0) {
+    raiseFormatError(source, 'unsupported data.json', [{ path: 'formatVersion', message: `expected a non-negative integer, got ${JSON.stringify(version)}` }]);
+  }
+  if (version > FORMAT_VERSION) {
+    raiseFormatError(source, `format version ${version} is newer than this loader supports (${FORMAT_VERSION})`,
+      [{ path: 'formatVersion', message: `${version} > ${FORMAT_VERSION}` }]);
+  }
+  const migrated = { ...data };
+  for (const migration of migrations) {
+    if (migration.from >= version && migration.from < FORMAT_VERSION) {
+      migration.migrate(migrated);
+    }
+  }
+  migrated.formatVersion = FORMAT_VERSION;
+  return migrated;
+}
+
+
+// Reads the ASCII header of a PLY file, enough to count splats without parsing them.
+export function parsePlyHeader(buffer, source = 'model.ply') {
+  const bytes = new Uint8Array(buffer instanceof ArrayBuffer ? buffer : buffer.buffer, buffer.byteOffset ?? 0, buffer.byteLength);
+  const marker = 'end_header';
+  const limit = Math.min(bytes.length, 64 * 1024);
+  let text = '';
+  for (let i = 0; i < limit; i++) {
+    text += String.fromCharCode(bytes[i]);
+    if (text.endsWith(marker)) {
+      let headerLength = i + 1;
+      if (bytes[headerLength] === 0x0d) headerLength++;
+      if (bytes[headerLength] === 0x0a) headerLength++;
+      return _parseHeaderText(text, headerLength, source);
+    }
+  }
+  raiseFormatError(source, 'not a PLY file', [{ path: 'model.ply', message: 'no end_header within the first 64 KiB' }]);
+}
+
+function _parseHeaderText(text, headerLength, source) {
+  const lines = text.split(/\r?\n/);
+  if (lines[0].trim() !== 'ply') {
+    raiseFormatError(source, 'not a PLY file', [{ path: 'model.ply', message: 'missing "ply" magic' }]);
+  }
+  const header = { format: null, vertexCount: 0, properties: [], elements: [], headerLength };
+  let inVertex = false;
+  for (const line of lines) {
+    const parts = line.trim().split(/\s+/);
+    if (parts[0] === 'format') {
+      header.format = parts[1];
+    } else if (parts[0] === 'element') {
+      header.elements.push({ name: parts[1], count: parseInt(parts[2], 10) });
+      inVertex = parts[1] === 'vertex';
+      if (inVertex) header.vertexCount = parseInt(parts[2], 10);
+    } else if (parts[0] === 'property' && inVertex) {
+      header.properties.push({ type: parts[1], name: parts[parts.length - 1] });
+    }
+  }
+  if (!Number.isInteger(header.vertexCount) || header.vertexCount < 0) {
+    raiseFormatError(source, 'PLY header has no vertex count', [{ path: 'model.ply', message: 'element vertex <count> not found' }]);
+  }
+  return header;
+}
+
+
+function _isNumberArray(value) {
+  return Array.isArray(value) || ArrayBuffer.isView(value);
+}
+
+// reports only the first bad element so a corrupt array yields one issue, not millions
+function _checkArray(issues, data, key, { length, itemSize = 1, integer = false, min, max, required = true }) {
+  const value = data[key];
+  if (value === undefined) {
+    if (required) issues.push({ path: key, message: 'is required' });
+    return;
+  }
+  if (!_isNumberArray(value)) {
+    issues.push({ path: key, message: `expected an array, got ${typeof value}` });
+    return;
+  }
+  if (length !== undefined && value.length !== length * itemSize) {
+    const expected = itemSize === 1 ? `${length}` : `${length} × ${itemSize} = ${length * itemSize}`;
+    issues.push({ path: key, message: `has ${value.length} entries, expected ${expected}` });
+  }
+  for (let i = 0; i < value.length; i++) {
+    const item = value[i];
+    let problem = null;
+    if (typeof item !== 'number' || !Number.isFinite(item)) {
+      problem = `is ${JSON.stringify(item)}, expected a finite number`;
+    } else if (integer && !Number.isInteger(item)) {
+      problem = `is ${item}, expected an integer`;
+    } else if (min !== undefined && item < min) {
+      problem = `is ${item}, below the minimum ${min}`;
+    } else if (max !== undefined && item > max) {
+      problem = `is ${item}, above the maximum ${max}`;
+    }
+    if (problem) {
+      issues.push({ path: `${key}[${i}]`, message: problem });
+      return;
+    }
+  }
+}
+
+// Structural checks on a migrated data.json. Pass splatCount (from the PLY
+// header) to check per-splat array lengths, and boneCount / vertexCount (from
+// the VRM skinned mesh) to check index ranges. Returns the list of issues.
+export function collectExtraDataIssues(data, { splatCount, boneCount, vertexCount } = {}) {
+  const issues = [];
+
+  if (data.formatVersion !== FORMAT_VERSION) {
+    issues.push({ path: 'formatVersion', message: `expected ${FORMAT_VERSION}, got ${JSON.stringify(data.formatVersion)}` });
+  }
+  if (data.modelScale !== undefined && !(typeof data.modelScale === 'number' && data.modelScale > 0)) {
+    issues.push({ path: 'modelScale', message: `expected a positive number, got ${JSON.stringify(data.modelScale)}` });
+  }
+  if (data.boneOperations !== undefined && !Array.isArray(data.boneOperations)) {
+    issues.push({ path: 'boneOperations', message: 'expected an array' });
+  }
+
+  _checkArray(issues, data, 'gsPosition', { length: 3 });
+  _checkArray(issues, data, 'gsQuaternion', { length: 4 });
+  if (_isNumberArray(data.gsQuaternion) && data.gsQuaternion.length === 4) {
+    const norm = Math.hypot(...data.gsQuaternion);
+    if (Math.abs(norm - 1) > 1e-3) {
+      issues.push({ path: 'gsQuaternion', message: `is not a unit quaternion (length ${norm.toFixed(4)})` });
+    }
+  }
+
+  _checkArray(issues, data, 'splatVertexIndices', {
+    length: splatCount, integer: true, min: 0, max: vertexCount !== undefined ? vertexCount - 1 : undefined,
+  });
+  _checkArray(issues, data, 'splatBoneIndices', {
+    length: splatCount, integer: true, min: 0, max: boneCount !== undefined ? boneCount - 1 : undefined,
+  });
+  _checkArray(issues, data, 'splatRelativePoses', { length: splatCount, itemSize: 3 });
+
+  // without a PLY to compare against, the per-splat arrays must at least agree with each other
+  if (splatCount === undefined && _isNumberArray(data.splatBoneIndices) && _isNumberArray(data.splatVertexIndices)) {
+    if (data.splatVertexIndices.length !== data.splatBoneIndices.length) {
+      issues.push({
+        path: 'splatVertexIndices',
+        message: `has ${data.splatVertexIndices.length} entries but splatBoneIndices has ${data.splatBoneIndices.length}`,
+      });
+    }
+  }
+
+  return issues;
+}
+
+export function validateExtraData(data, options = {}, source = 'GVRM archive') {
+  const issues = collectExtraDataIssues(data, options);
+  if (issues.length) {
+    raiseFormatError(source, `data.json is invalid (${issues.length} ${issues.length === 1 ? 'problem' : 'problems'})`, issues);
+  }
+  return data;
+}
@@ -0,0 +1,182 @@
+// Band energies, spectral centroid and flux-based beat detection from byte
+// frequency arrays (AnalyserNode.getByteFrequencyData). No Web Audio or DOM
+// access here, so recorded spectra can be replayed through it under Node.
+
+export const defaultBands = {
+  bass: [20, 250],
+  mid: [250, 2000],
+  treble: [2000, 11000]
+};
+
+export function binFrequency(index, binCount, sampleRate) {
+  return (index * sampleRate) / (binCount * 2);
+}
+
+export function bandEnergy(spectrum, [low, high], sampleRate) {
+  const binCount = spectrum.length;
+  let sum = 0;
+  let count = 0;
+  for (let i = 0; i < binCount; i++) {
+    const frequency = binFrequency(i, binCount, sampleRate);
+    if (frequency < low || frequency >= high) {
+      continue;
+    }
+    sum += spectrum[i];
+    count += 1;
+  }
+  if (count === 0) {
+    // band narrower than one bin: take the bin it falls into
+    const index = Math.min(binCount - 1, Math.round((low + high) / sampleRate * binCount));
+    return (spectrum[index] ?? 0) / 255;
+  }
+  return sum / count / 255;
+}
+
+export function spectralCentroid(spectrum, sampleRate) {
+  const binCount = spectrum.length;
+  let weighted = 0;
+  let total = 0;
+  for (let i = 0; i < binCount; i++) {
+    weighted += binFrequency(i, binCount, sampleRate) * spectrum[i];
+    total += spectrum[i];
+  }
+  return total > 0 ? weighted / total : 0;
+}
+
+// positive-only spectral difference, normalised to 0..1
+export function spectralFlux(spectrum, previous) {
+  if (!previous || previous.length !== spectrum.length) {
+    return 0;
+  }
+  let flux = 0;
+  for (let i = 0; i < spectrum.length; i++) {
+    const rise = spectrum[i] - previous[i];
+    if (rise > 0) {
+      flux += rise;
+    }
+  }
+  return flux / (spectrum.length * 255);
+}
+
+function smoothing(delta, seconds) {
+  return 1 - Math.exp(-delta / Math.max(seconds, 1e-4));
+}
+
+export class AudioFeatureExtractor {
+  constructor({
+    sampleRate = 44100,
+    bands = defaultBands,
+    attack = 0.03,
+    release = 0.25,
+    historySize = 43,
+    sensitivity = 1.5,
+    minFlux = 0.004,
+    minBeatInterval = 0.28
+  } = {}) {
+    this.sampleRate = sampleRate;
+    this.bands = bands;
+    this.attack = attack;
+    this.release = release;
+    this.historySize = historySize;
+    this.sensitivity = sensitivity;
+    this.minFlux = minFlux;
+    this.minBeatInterval = minBeatInterval;
+    this.beatListeners = new Set();
+    this.reset();
+  }
+
+  reset() {
+    this.previous = null;
+    this.fluxHistory = [];
+    this.sinceBeat = Infinity;
+    this.features = {
+      average: 0,
+      bass: 0,
+      mid: 0,
+      treble: 0,
+      centroid: 0,
+      brightness: 0,
+      flux: 0,
+      envelope: 0,
+      beat: false,
+      beatStrength: 0
+    };
+  }
+
+  onBeat(listener) {
+    this.beatListeners.add(listener);
+    return () => this.beatListeners.delete(listener);
+  }
+
+  follow(current, target, delta) {
+    const rate = smoothing(delta, target > current ? this.attack : this.release);
+    return current + (target - current) * rate;
+  }
+
+  // spectrum may be null for silence; bands and envelope then decay
+  process(spectrum, delta) {
+    const features = this.features;
+    const hasSignal = spectrum && spectrum.length > 0;
+    let average = 0;
+    let bass = 0;
+    let mid = 0;
+    let treble = 0;
+    let centroid = 0;
+    let flux = 0;
+
+    if (hasSignal) {
+      for (let i = 0; i < spectrum.length; i++) {
+        average += spectrum[i];
+      }
+      average /= spectrum.length * 255;
+      bass = bandEnergy(spectrum, this.bands.bass, this.sampleRate);
+      mid = bandEnergy(spectrum, this.bands.mid, this.sampleRate);
+      treble = bandEnergy(spectrum, this.bands.treble, this.sampleRate);
+      centroid = spectralCentroid(spectrum, this.sampleRate);
+      flux = spectralFlux(spectrum, this.previous);
+      if (!this.previous || this.previous.length !== spectrum.length) {
+        this.previous = new Uint8Array(spectrum.length);
+      }
+      this.previous.set(spectrum);
+    } else {
+      this.previous = null;
+    }
+
+    features.average = average;
+    features.bass = this.follow(features.bass, bass, delta);
+    features.mid = this.follow(features.mid, mid, delta);
+    features.treble = this.follow(features.treble, treble, delta);
+    features.envelope = this.follow(features.envelope, average, delta);
+    if (hasSignal && average > 0) {
+      features.centroid = centroid;
+      features.brightness = Math.min(1, centroid / (this.sampleRate / 4));
+    }
+    features.flux = flux;
+
+    // adaptive threshold: a beat is flux well above its recent mean
+    const history = this.fluxHistory;
+    let mean = 0;
+    let variance = 0;
+    if (history.length) {
+      mean = history.reduce((sum, value) => sum + value, 0) / history.length;
+      variance = history.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / history.length;
+    }
+    const threshold = Math.max(this.minFlux, mean + this.sensitivity * Math.sqrt(variance));
+    this.sinceBeat += delta;
+    features.beat = false;
+    if (history.length >= 8 && flux > threshold && this.sinceBeat >= this.minBeatInterval) {
+      features.beat = true;
+      features.beatStrength = Math.min(1, (flux - mean) / Math.max(threshold * 2, 1e-4));
+      this.sinceBeat = 0;
+      this.beatListeners.forEach((listener) => listener(features));
+    } else {
+      features.beatStrength *= 1 - smoothing(delta, this.release);
+    }
+    history.push(flux);
+    if (history.length > this.historySize) {
+      history.shift();
+    }
+
+    return features;
+  }
+}
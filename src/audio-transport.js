@@ -0,0 +1,350 @@
+import * as THREE from 'three';
+
+const CURVE_SAMPLES = 64;
+
+function equalPowerCurve(from, to, fadeIn) {
+  const curve = new Float32Array(CURVE_SAMPLES);
+  for (let i = 0; i < CURVE_SAMPLES; i++) {
+    const x = i / (CURVE_SAMPLES - 1);
+    const shape = fadeIn ? Math.sin(x * Math.PI * 0.5) : Math.cos(x * Math.PI * 0.5);
+    curve[i] = fadeIn ? from + (to - from) * shape : to + (from - to) * shape;
+  }
+  return curve;
+}
+
+function formatTime(seconds) {
+  const total = Math.max(0, Math.floor(seconds));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+function readSettings(key) {
+  try {
+    return JSON.parse(window.localStorage.getItem(key) ?? '{}') ?? {};
+  } catch (error) {
+    return {};
+  }
+}
+
+// Two-deck soundtrack player: equal-power crossfades between tracks, master
+// volume and mute on the listener, and a play/pause + progress readout.
+// In spatial mode the decks are PositionalAudio parented to an anchor (the
+// avatar's head) so the music is heard from where the avatar stands.
+export class AudioTransport {
+  constructor({
+    listener,
+    crossfadeSeconds = 2.4,
+    storageKey = 'simulacra-corridor:audio',
+    playEl,
+    muteEl,
+    volumeEl,
+    progressEl,
+    timeEl,
+    spatialEl,
+    refDistance = 1,
+    maxDistance = 10,
+    rolloffFactor = 0.65
+  }) {
+    this.listener = listener;
+    this.context = listener.context;
+    this.crossfadeSeconds = crossfadeSeconds;
+    this.storageKey = storageKey;
+    this.playEl = playEl ?? null;
+    this.muteEl = muteEl ?? null;
+    this.volumeEl = volumeEl ?? null;
+    this.progressEl = progressEl ?? null;
+    this.progressFillEl = progressEl?.querySelector('.audio-progress-fill') ?? null;
+    this.timeEl = timeEl ?? null;
+    this.spatialEl = spatialEl ?? null;
+    this.deckSets = {
+      ambient: [new THREE.Audio(listener), new THREE.Audio(listener)],
+      spatial: [new THREE.PositionalAudio(listener), new THREE.PositionalAudio(listener)]
+    };
+    this.current = this.deckSets.ambient[0];
+    this.fadeTimers = new Map();
+    this.deckListeners = new Set();
+    this.anchor = null;
+    this.configureSpatial({ refDistance, maxDistance, rolloffFactor });
+    this.trackVolume = 0.6;
+    this.trackStart = 0;
+    this.trackOffset = 0;
+    this.userPaused = false;
+
+    const stored = readSettings(storageKey);
+    this.volume = THREE.MathUtils.clamp(Number(stored.volume ?? 0.8), 0, 1);
+    this.muted = Boolean(stored.muted);
+    this.mode = stored.mode === 'spatial' ? 'spatial' : 'ambient';
+
+    this.playEl?.addEventListener('click', () => this.togglePlay());
+    this.muteEl?.addEventListener('click', () => this.toggleMute());
+    this.volumeEl?.addEventListener('input', () => this.setVolume(Number(this.volumeEl.value)));
+    this.spatialEl?.addEventListener('click', () => this.setMode(this.mode === 'spatial' ? 'ambient' : 'spatial'));
+
+    this.applyMaster();
+    this.render();
+  }
+
+  // spatial playback needs somewhere to emit from; until then it stays ambient
+  get effectiveMode() {
+    return this.mode === 'spatial' && this.anchor ? 'spatial' : 'ambient';
+  }
+
+  configureSpatial({ refDistance, maxDistance, rolloffFactor }) {
+    this.deckSets.spatial.forEach((deck) => {
+      deck.setDistanceModel('linear');
+      if (refDistance !== undefined) {
+        deck.setRefDistance(refDistance);
+      }
+      if (maxDistance !== undefined) {
+        deck.setMaxDistance(maxDistance);
+      }
+      if (rolloffFactor !== undefined) {
+        deck.setRolloffFactor(rolloffFactor);
+      }
+    });
+  }
+
+  setAnchor(anchor) {
+    const previousMode = this.effectiveMode;
+    this.anchor = anchor ?? null;
+    this.deckSets.spatial.forEach((deck) => {
+      if (this.anchor) {
+        this.anchor.add(deck);
+      } else {
+        deck.removeFromParent();
+      }
+    });
+    this.handoff(previousMode);
+    this.render();
+  }
+
+  setMode(mode) {
+    const previousMode = this.effectiveMode;
+    this.mode = mode === 'spatial' ? 'spatial' : 'ambient';
+    this.save();
+    this.handoff(previousMode);
+    this.render();
+  }
+
+  // moves the playing track onto the other deck set without losing its place
+  handoff(previousMode) {
+    if (previousMode === this.effectiveMode || !this.current.buffer) {
+      return;
+    }
+    const elapsed = this.elapsed;
+    if (this.current.isPlaying) {
+      this.play(this.current.buffer, {
+        volume: this.trackVolume,
+        loop: this.current.loop,
+        offset: this.position,
+        fade: 0.6
+      });
+      this.trackOffset = elapsed;
+      return;
+    }
+    // paused: park the buffer on the new set so resume() picks up from the same spot
+    const position = this.position;
+    const deck = this.deckSets[this.effectiveMode][0];
+    deck.stop();
+    deck.setBuffer(this.current.buffer);
+    deck.setLoop(this.current.loop);
+    deck.offset = position;
+    this.current.stop();
+    this.current = deck;
+    this.trackOffset = elapsed;
+    this.notifyDeckChange();
+  }
+
+  onDeckChange(listener) {
+    this.deckListeners.add(listener);
+    return () => this.deckListeners.delete(listener);
+  }
+
+  notifyDeckChange() {
+    this.deckListeners.forEach((listener) => listener(this.current));
+  }
+
+  get isPlaying() {
+    return this.current.isPlaying;
+  }
+
+  get duration() {
+    return this.current.buffer?.duration ?? 0;
+  }
+
+  // seconds since the track started, counting loops; frozen while paused
+  get elapsed() {
+    if (!this.current.buffer) {
+      return 0;
+    }
+    return this.trackOffset + (this.isPlaying ? Math.max(0, this.context.currentTime - this.trackStart) : 0);
+  }
+
+  get position() {
+    const duration = this.duration;
+    if (!duration) {
+      return 0;
+    }
+    const elapsed = this.elapsed;
+    return this.current.loop ? elapsed % duration : Math.min(elapsed, duration);
+  }
+
+  // crossfades from whatever is playing into buffer and returns the incoming deck
+  play(buffer, { volume = 0.6, loop = true, offset = 0, fade: fadeSeconds = this.crossfadeSeconds } = {}) {
+    const now = this.context.currentTime;
+    const outgoing = this.current;
+    const incoming = this.deckSets[this.effectiveMode].find((deck) => deck !== outgoing);
+    const fade = outgoing.isPlaying ? fadeSeconds : 0.05;
+
+    window.clearTimeout(this.fadeTimers.get(incoming));
+    // stop() also clears any progress left over from a pause on this deck
+    incoming.stop();
+    incoming.setBuffer(buffer);
+    incoming.setLoop(loop);
+    incoming.offset = offset;
+    incoming.gain.gain.cancelScheduledValues(now);
+    incoming.gain.gain.setValueCurveAtTime(equalPowerCurve(0, volume, true), now, fade);
+    incoming.play();
+
+    if (outgoing.isPlaying) {
+      const startGain = outgoing.gain.gain.value;
+      outgoing.gain.gain.cancelScheduledValues(now);
+      outgoing.gain.gain.setValueCurveAtTime(equalPowerCurve(startGain, 0, false), now, fade);
+      window.clearTimeout(this.fadeTimers.get(outgoing));
+      this.fadeTimers.set(outgoing, window.setTimeout(() => {
+        if (this.current !== outgoing && outgoing.isPlaying) {
+          outgoing.stop();
+        }
+      }, fade * 1000 + 50));
+    }
+
+    this.current = incoming;
+    this.trackVolume = volume;
+    this.trackStart = now;
+    this.trackOffset = offset;
+    this.userPaused = false;
+    this.notifyDeckChange();
+    this.render();
+    return incoming;
+  }
+
+  pause({ user = true } = {}) {
+    [...this.deckSets.ambient, ...this.deckSets.spatial].forEach((deck) => {
+      if (deck !== this.current && deck.isPlaying) {
+        window.clearTimeout(this.fadeTimers.get(deck));
+        deck.stop();
+      }
+    });
+    if (this.current.isPlaying) {
+      this.trackOffset += Math.max(0, this.context.currentTime - this.trackStart);
+      this.current.pause();
+    }
+    this.userPaused = this.userPaused || user;
+    this.render();
+  }
+
+  resume({ user = true } = {}) {
+    if (!user && this.userPaused) {
+      return;
+    }
+    const deck = this.current;
+    if (!deck.buffer || deck.isPlaying) {
+      return;
+    }
+    const now = this.context.currentTime;
+    deck.gain.gain.cancelScheduledValues(now);
+    deck.gain.gain.setTargetAtTime(this.trackVolume, now, 0.05);
+    deck.play();
+    this.trackStart = now;
+    this.userPaused = false;
+    this.render();
+  }
+
+  togglePlay() {
+    if (this.isPlaying) {
+      this.pause();
+    } else {
+      this.context.resume();
+      this.resume();
+    }
+  }
+
+  setVolume(volume) {
+    this.volume = THREE.MathUtils.clamp(volume, 0, 1);
+    if (this.volume > 0 && this.muted) {
+      this.muted = false;
+    }
+    this.applyMaster();
+    this.save();
+    this.render();
+  }
+
+  setMuted(muted) {
+    this.muted = muted;
+    this.applyMaster();
+    this.save();
+    this.render();
+  }
+
+  toggleMute() {
+    this.setMuted(!this.muted);
+  }
+
+  applyMaster() {
+    this.listener.setMasterVolume(this.muted ? 0 : this.volume);
+  }
+
+  save() {
+    try {
+      window.localStorage.setItem(this.storageKey, JSON.stringify({
+        volume: this.volume,
+        muted: this.muted,
+        mode: this.mode
+      }));
+    } catch (error) {
+      // storage can be unavailable in private windows; settings just won't persist
+    }
+  }
+
+  render() {
+    if (this.playEl) {
+      this.playEl.textContent = this.isPlaying ? 'Pause' : 'Play';
+      this.playEl.setAttribute('aria-pressed', this.isPlaying ? 'true' : 'false');
+    }
+    if (this.muteEl) {
+      this.muteEl.textContent = this.muted ? 'Unmute' : 'Mute';
+      this.muteEl.setAttribute('aria-pressed', this.muted ? 'true' : 'false');
+      this.muteEl.classList.toggle('is-active', this.muted);
+    }
+    if (this.spatialEl) {
+      const spatial = this.mode === 'spatial';
+      this.spatialEl.textContent = spatial ? 'Spatial' : 'Ambient';
+      this.spatialEl.setAttribute('aria-pressed', spatial ? 'true' : 'false');
+      this.spatialEl.classList.toggle('is-active', spatial);
+      this.spatialEl.title = spatial && !this.anchor ?
+        'Spatial playback starts once the avatar has loaded.' :
+        'Switch between ambient and avatar-positioned playback.';
+    }
+    if (this.volumeEl && Number(this.volumeEl.value) !== this.volume) {
+      this.volumeEl.value = String(this.volume);
+    }
+  }
+
+  // per-frame progress readout
+  update() {
+    const duration = this.duration;
+    const position = this.position;
+    if (this.progressFillEl) {
+      this.progressFillEl.style.transform = `scaleX(${duration ? (position / duration).toFixed(4) : 0})`;
+    }
+    if (this.progressEl) {
+      this.progressEl.setAttribute('aria-valuenow', String(Math.round(position)));
+      this.progressEl.setAttribute('aria-valuemax', String(Math.round(duration)));
+    }
+    if (this.timeEl) {
+      const text = `${formatTime(position)} / ${formatTime(duration)}`;
+      if (this.timeEl.textContent !== text) {
+        this.timeEl.textContent = text;
+      }
+    }
+  }
+}
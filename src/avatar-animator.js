@@ -0,0 +1,144 @@
+import * as THREE from 'three';
+import { loadMixamoAnimation } from './mixamo-retarget.js';
+
+function pickWeighted(entries, exclude) {
+  const pool = entries.length > 1 ? entries.filter((entry) => entry !== exclude) : entries;
+  const total = pool.reduce((sum, entry) => sum + Math.max(0, entry.weight ?? 1), 0);
+  let roll = Math.random() * total;
+  for (const entry of pool) {
+    roll -= Math.max(0, entry.weight ?? 1);
+    if (roll <= 0) {
+      return entry;
+    }
+  }
+  return pool[pool.length - 1];
+}
+
+// Plays retargeted Mixamo clips on a VRM with weighted crossfades, either on
+// request or from a playlist that advances by per-clip duration or weighted draw.
+export class AvatarAnimator {
+  constructor({ vrm, mixer, blendSeconds = 0.8 } = {}) {
+    this.vrm = vrm;
+    this.mixer = mixer ?? new THREE.AnimationMixer(vrm.scene);
+    this.blendSeconds = blendSeconds;
+    this.clips = new Map();
+    this.currentAction = null;
+    this.previousAction = null;
+    this.currentUrl = null;
+    this.requestId = 0;
+    this.playlist = null;
+    this.clipListeners = new Set();
+  }
+
+  onClipChange(listener) {
+    this.clipListeners.add(listener);
+    return () => this.clipListeners.delete(listener);
+  }
+
+  loadClip(url) {
+    if (!this.clips.has(url)) {
+      const promise = loadMixamoAnimation(url, this.vrm).catch((error) => {
+        this.clips.delete(url);
+        throw error;
+      });
+      this.clips.set(url, promise);
+    }
+    return this.clips.get(url);
+  }
+
+  // resolves with the action, or null when a newer request superseded this one
+  async play(url, { blendSeconds = this.blendSeconds, entry = null } = {}) {
+    const requestId = ++this.requestId;
+    const clip = await this.loadClip(url);
+    if (requestId !== this.requestId) {
+      return null;
+    }
+
+    const incoming = this.mixer.clipAction(clip);
+    const outgoing = this.currentAction;
+    if (incoming === outgoing) {
+      return incoming;
+    }
+    // anything still fading out from an earlier switch can stop now
+    if (this.previousAction && this.previousAction !== incoming && this.previousAction !== outgoing) {
+      this.previousAction.stop();
+    }
+    incoming.enabled = true;
+    incoming.setLoop(THREE.LoopRepeat, Infinity);
+    incoming.reset();
+    incoming.setEffectiveTimeScale(1);
+    incoming.setEffectiveWeight(1);
+    incoming.play();
+    if (outgoing && blendSeconds > 0) {
+      outgoing.crossFadeTo(incoming, blendSeconds, false);
+    } else {
+      outgoing?.stop();
+      incoming.fadeIn(Math.max(blendSeconds, 0.001));
+    }
+
+    this.previousAction = outgoing;
+    this.currentAction = incoming;
+    this.currentUrl = url;
+    this.clipListeners.forEach((listener) => listener(url, entry));
+    return incoming;
+  }
+
+  get isPlaylistActive() {
+    return Boolean(this.playlist);
+  }
+
+  // entries: [{ file, duration?, weight?, blend? }]; mode 'sequence' or 'random'
+  startPlaylist(entries, { mode = 'sequence', startIndex = 0 } = {}) {
+    const playable = entries.filter((entry) => entry.file);
+    if (!playable.length) {
+      return;
+    }
+    this.playlist = { entries: playable, mode, index: startIndex - 1, remaining: 0, current: null };
+    this.advancePlaylist();
+  }
+
+  stopPlaylist() {
+    this.playlist = null;
+  }
+
+  async advancePlaylist() {
+    const playlist = this.playlist;
+    if (!playlist) {
+      return;
+    }
+    let entry;
+    if (playlist.mode === 'random') {
+      entry = pickWeighted(playlist.entries, playlist.current);
+    } else {
+      playlist.index = (playlist.index + 1) % playlist.entries.length;
+      entry = playlist.entries[playlist.index];
+    }
+    playlist.current = entry;
+    // hold until the clip is loaded so slow downloads do not eat into its slot
+    playlist.remaining = Infinity;
+    try {
+      const action = await this.play(entry.file, { blendSeconds: entry.blend ?? this.blendSeconds, entry });
+      if (this.playlist !== playlist || !action) {
+        return;
+      }
+      const clipDuration = action.getClip().duration;
+      playlist.remaining = entry.duration ?? Math.max(clipDuration * 2, 8);
+    } catch (error) {
+      console.warn('Playlist clip failed to load:', entry.file, error);
+      if (this.playlist === playlist) {
+        playlist.remaining = 0.5;
+      }
+    }
+  }
+
+  update(delta) {
+    this.mixer.update(delta);
+    if (!this.playlist) {
+      return;
+    }
+    this.playlist.remaining -= delta;
+    if (this.playlist.remaining <= 0) {
+      this.advancePlaylist();
+    }
+  }
+}
@@ -0,0 +1,285 @@
+import * as THREE from 'three';
+import { easeInOutCubic } from './palette-blend.js';
+
+const defaultDirectorConfig = {
+  idleSeconds: 45,
+  blendSeconds: 2.5,
+  defaultTarget: [0, 1.15, 0],
+  attract: null,
+  paths: []
+};
+
+const _position = new THREE.Vector3();
+const _target = new THREE.Vector3();
+const _offset = new THREE.Vector3();
+const _spherical = new THREE.Spherical();
+
+// keys: [{ position: [x, y, z], target?: [x, y, z] }], at least two
+export function buildCameraPath(definition, defaultTarget = [0, 0, 0]) {
+  const keys = definition.keys ?? [];
+  if (!definition.name || keys.length < 2) {
+    throw new Error(`Camera path ${definition.name ?? '(unnamed)'} needs a name and at least two keys.`);
+  }
+  const loop = Boolean(definition.loop);
+  const positions = keys.map((key) => new THREE.Vector3().fromArray(key.position));
+  const targets = keys.map((key) => new THREE.Vector3().fromArray(key.target ?? defaultTarget));
+  return {
+    name: definition.name,
+    label: definition.label ?? definition.name,
+    duration: Math.max(Number(definition.duration) || 0, 0.1),
+    loop,
+    ease: definition.ease ?? (loop ? 'linear' : 'inOut'),
+    position: new THREE.CatmullRomCurve3(positions, loop, 'centripetal'),
+    target: new THREE.CatmullRomCurve3(targets, loop, 'centripetal')
+  };
+}
+
+// Flies the camera along keyframed spline paths and hands it straight back to
+// OrbitControls when the visitor grabs it. After idleSeconds without input an
+// attract mode cycles through the configured paths until someone moves.
+export class CameraDirector {
+  constructor({ camera, controls, configUrl, previewParent } = {}) {
+    this.camera = camera;
+    this.controls = controls;
+    this.configUrl = configUrl;
+    this.previewParent = previewParent ?? null;
+    this.config = { ...defaultDirectorConfig };
+    this.paths = new Map();
+    this.shot = null;
+    this.idle = 0;
+    this.attractEnabled = true;
+    this.attractAllowed = true;
+    this.attractIndex = -1;
+    this.preview = null;
+    this.previewName = null;
+    this.shotListeners = new Set();
+
+    this.controls.addEventListener('start', () => {
+      this.idle = 0;
+      this.release();
+    });
+  }
+
+  async load() {
+    const response = await fetch(this.configUrl);
+    if (!response.ok) {
+      throw new Error(`Failed to load camera paths from ${this.configUrl}: ${response.status} ${response.statusText}`);
+    }
+    this.config = { ...defaultDirectorConfig, ...(await response.json()) };
+    this.paths.clear();
+    this.config.paths.forEach((definition) => {
+      try {
+        const path = buildCameraPath(definition, this.config.defaultTarget);
+        this.paths.set(path.name, path);
+      } catch (error) {
+        console.warn('Skipping camera path:', error);
+      }
+    });
+    return this.config;
+  }
+
+  get isAttracting() {
+    return this.shot?.source === 'attract';
+  }
+
+  get currentPath() {
+    return this.shot?.path?.name ?? null;
+  }
+
+  onShotChange(listener) {
+    this.shotListeners.add(listener);
+    return () => this.shotListeners.delete(listener);
+  }
+
+  notify() {
+    this.shotListeners.forEach((listener) => listener(this.shot, this));
+  }
+
+  // any visitor input: restarts the idle clock and ends attract mode
+  noteActivity() {
+    this.idle = 0;
+    if (this.isAttracting) {
+      this.release();
+    }
+  }
+
+  play(name, { source = 'user', blendSeconds = this.config.blendSeconds } = {}) {
+    const path = this.paths.get(name);
+    if (!path) {
+      return false;
+    }
+    this.startShot({ path, source, duration: path.duration, blendSeconds });
+    return true;
+  }
+
+  // straight eased move, e.g. from a timeline cue; duration 0 or instant cuts
+  moveTo({ position, target, duration = 3 }, { instant = false, source = 'timeline' } = {}) {
+    const shot = this.startShot({ path: null, source, duration: instant ? 0 : duration, blendSeconds: 0 });
+    shot.toPosition.fromArray(position ?? this.camera.position.toArray());
+    shot.toTarget.fromArray(target ?? this.controls.target.toArray());
+    if (shot.duration === 0) {
+      this.update(0);
+    }
+  }
+
+  startShot({ path, source, duration, blendSeconds }) {
+    this.shot = {
+      path,
+      source,
+      duration,
+      blendSeconds,
+      elapsed: 0,
+      fromPosition: this.camera.position.clone(),
+      fromTarget: this.controls.target.clone(),
+      toPosition: new THREE.Vector3(),
+      toTarget: new THREE.Vector3()
+    };
+    this.notify();
+    return this.shot;
+  }
+
+  // leave the camera where it is; OrbitControls picks up from this pose
+  release() {
+    if (!this.shot) {
+      return;
+    }
+    this.shot = null;
+    this.notify();
+  }
+
+  setAttractEnabled(enabled) {
+    this.attractEnabled = Boolean(enabled);
+    this.idle = 0;
+    if (!this.attractEnabled && this.isAttracting) {
+      this.release();
+    }
+    this.notify();
+  }
+
+  attractPaths() {
+    const names = this.config.attract ?? [...this.paths.keys()];
+    return names.filter((name) => this.paths.has(name));
+  }
+
+  startAttract() {
+    const names = this.attractPaths();
+    if (!names.length) {
+      return;
+    }
+    this.attractIndex = (this.attractIndex + 1) % names.length;
+    this.play(names[this.attractIndex], { source: 'attract' });
+  }
+
+  // keep sampled poses inside the same polar/distance envelope as OrbitControls
+  constrain(position, target) {
+    const { minDistance, maxDistance, minPolarAngle, maxPolarAngle } = this.controls;
+    _offset.copy(position).sub(target);
+    _spherical.setFromVector3(_offset);
+    _spherical.phi = THREE.MathUtils.clamp(_spherical.phi, minPolarAngle, maxPolarAngle);
+    _spherical.radius = THREE.MathUtils.clamp(_spherical.radius, minDistance, maxDistance);
+    _spherical.makeSafe();
+    position.copy(target).add(_offset.setFromSpherical(_spherical));
+    return position;
+  }
+
+  samplePath(shot) {
+    const { path } = shot;
+    let u = shot.elapsed / path.duration;
+    if (path.loop) {
+      u -= Math.floor(u);
+    } else {
+      u = Math.min(1, u);
+    }
+    if (path.ease === 'inOut') {
+      u = easeInOutCubic(u);
+    }
+    // even speed along the position spline; the target shares its parameter so
+    // each key's target is reached exactly when the camera reaches that key
+    const t = path.position.getUtoTmapping(u);
+    path.position.getPoint(t, _position);
+    path.target.getPoint(t, _target);
+  }
+
+  finishShot() {
+    const { source } = this.shot;
+    this.shot = null;
+    this.idle = 0;
+    if (source === 'attract' && this.attractEnabled && this.attractAllowed) {
+      this.startAttract();
+    } else {
+      this.notify();
+    }
+  }
+
+  update(delta) {
+    const shot = this.shot;
+    if (!shot) {
+      this.idle += delta;
+      if (this.attractEnabled && this.attractAllowed && this.paths.size && this.idle >= this.config.idleSeconds) {
+        this.startAttract();
+      }
+      return;
+    }
+    if (shot.source === 'attract' && !this.attractAllowed) {
+      this.release();
+      return;
+    }
+
+    shot.elapsed += delta;
+    if (shot.path) {
+      this.samplePath(shot);
+      const blend = shot.blendSeconds > 0 ? easeInOutCubic(Math.min(1, shot.elapsed / shot.blendSeconds)) : 1;
+      _position.lerpVectors(shot.fromPosition, _position, blend);
+      _target.lerpVectors(shot.fromTarget, _target, blend);
+    } else {
+      const t = shot.duration > 0 ? easeInOutCubic(Math.min(1, shot.elapsed / shot.duration)) : 1;
+      _position.lerpVectors(shot.fromPosition, shot.toPosition, t);
+      _target.lerpVectors(shot.fromTarget, shot.toTarget, t);
+    }
+    this.controls.target.copy(_target);
+    this.camera.position.copy(this.constrain(_position, _target));
+
+    // looping paths hold until interrupted, except in attract mode where each plays one lap
+    const done = shot.path?.loop ? shot.source === 'attract' && shot.elapsed >= shot.duration : shot.elapsed >= shot.duration;
+    if (done) {
+      this.finishShot();
+    }
+  }
+
+  // draws the path (cyan), its look-at track (magenta) and the keys for tuning
+  setPreview(name) {
+    if (this.preview) {
+      this.preview.removeFromParent();
+      this.preview.traverse((object) => {
+        object.geometry?.dispose();
+        object.material?.dispose();
+      });
+      this.preview = null;
+    }
+    this.previewName = null;
+    const path = this.paths.get(name);
+    if (!path || !this.previewParent) {
+      return;
+    }
+    const group = new THREE.Group();
+    group.name = `camera-path-preview:${name}`;
+    const segments = 160;
+    group.add(
+      new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints(path.position.getSpacedPoints(segments)),
+        new THREE.LineBasicMaterial({ color: 0x5fe0ff, transparent: true, opacity: 0.8, depthWrite: false })
+      ),
+      new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints(path.target.getPoints(segments)),
+        new THREE.LineBasicMaterial({ color: 0xff5bd1, transparent: true, opacity: 0.6, depthWrite: false })
+      ),
+      new THREE.Points(
+        new THREE.BufferGeometry().setFromPoints(path.position.points),
+        new THREE.PointsMaterial({ color: 0xffffff, size: 0.06, depthWrite: false })
+      )
+    );
+    this.previewParent.add(group);
+    this.preview = group;
+    this.previewName = name;
+  }
+}
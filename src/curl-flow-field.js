@@ -0,0 +1,253 @@
+import * as THREE from 'three';
+import { GPUComputationRenderer } from 'three/addons/misc/GPUComputationRenderer.js';
+
+// Ashima Arts 3D simplex noise (MIT), used as the potential for the curl field.
+const simplexNoise = /* glsl */`
+  vec3 mod289(vec3 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+  vec4 mod289(vec4 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+  vec4 permute(vec4 x) { return mod289(((x * 34.0) + 1.0) * x); }
+  vec4 taylorInvSqrt(vec4 r) { return 1.79284291400159 - 0.85373472095314 * r; }
+
+  float snoise(vec3 v) {
+    const vec2 C = vec2(1.0 / 6.0, 1.0 / 3.0);
+    const vec4 D = vec4(0.0, 0.5, 1.0, 2.0);
+
+    vec3 i = floor(v + dot(v, C.yyy));
+    vec3 x0 = v - i + dot(i, C.xxx);
+
+    vec3 g = step(x0.yzx, x0.xyz);
+    vec3 l = 1.0 - g;
+    vec3 i1 = min(g.xyz, l.zxy);
+    vec3 i2 = max(g.xyz, l.zxy);
+
+    vec3 x1 = x0 - i1 + C.xxx;
+    vec3 x2 = x0 - i2 + C.yyy;
+    vec3 x3 = x0 - D.yyy;
+
+    i = mod289(i);
+    vec4 p = permute(permute(permute(
+      i.z + vec4(0.0, i1.z, i2.z, 1.0)) +
+      i.y + vec4(0.0, i1.y, i2.y, 1.0)) +
+      i.x + vec4(0.0, i1.x, i2.x, 1.0));
+
+    float n_ = 0.142857142857;
+    vec3 ns = n_ * D.wyz - D.xzx;
+
+    vec4 j = p - 49.0 * floor(p * ns.z * ns.z);
+    vec4 x_ = floor(j * ns.z);
+    vec4 y_ = floor(j - 7.0 * x_);
+
+    vec4 x = x_ * ns.x + ns.yyyy;
+    vec4 y = y_ * ns.x + ns.yyyy;
+    vec4 h = 1.0 - abs(x) - abs(y);
+
+    vec4 b0 = vec4(x.xy, y.xy);
+    vec4 b1 = vec4(x.zw, y.zw);
+    vec4 s0 = floor(b0) * 2.0 + 1.0;
+    vec4 s1 = floor(b1) * 2.0 + 1.0;
+    vec4 sh = -step(h, vec4(0.0));
+
+    vec4 a0 = b0.xzyw + s0.xzyw * sh.xxyy;
+    vec4 a1 = b1.xzyw + s1.xzyw * sh.zzww;
+
+    vec3 p0 = vec3(a0.xy, h.x);
+    vec3 p1 = vec3(a0.zw, h.y);
+    vec3 p2 = vec3(a1.xy, h.z);
+    vec3 p3 = vec3(a1.zw, h.w);
+
+    vec4 norm = taylorInvSqrt(vec4(dot(p0, p0), dot(p1, p1), dot(p2, p2), dot(p3, p3)));
+    p0 *= norm.x;
+    p1 *= norm.y;
+    p2 *= norm.z;
+    p3 *= norm.w;
+
+    vec4 m = max(0.6 - vec4(dot(x0, x0), dot(x1, x1), dot(x2, x2), dot(x3, x3)), 0.0);
+    m = m * m;
+    return 42.0 * dot(m * m, vec4(dot(p0, x0), dot(p1, x1), dot(p2, x2), dot(p3, x3)));
+  }
+`;
+
+// Column 0 of the position texture is the live particle; columns 1..N-1 hold
+// its recent history, shifted one step every trail interval.
+const positionShader = /* glsl */`
+  uniform float uTime;
+  uniform float uDelta;
+  uniform float uSpeed;
+  uniform float uShiftTrail;
+  uniform float uStartRadius;
+  uniform float uRadiusSpread;
+  uniform float uLifespan;
+  uniform vec3 uSeed;
+
+  ${simplexNoise}
+
+  vec3 noiseVec3(vec3 p) {
+    return vec3(
+      snoise(p),
+      snoise(vec3(p.y - 19.1, p.z + 33.4, p.x + 47.2)),
+      snoise(vec3(p.z + 74.2, p.x - 124.5, p.y + 99.4))
+    );
+  }
+
+  vec3 curlNoise(vec3 p) {
+    const float e = 0.1;
+    vec3 dx = vec3(e, 0.0, 0.0);
+    vec3 dy = vec3(0.0, e, 0.0);
+    vec3 dz = vec3(0.0, 0.0, e);
+
+    vec3 px0 = noiseVec3(p - dx);
+    vec3 px1 = noiseVec3(p + dx);
+    vec3 py0 = noiseVec3(p - dy);
+    vec3 py1 = noiseVec3(p + dy);
+    vec3 pz0 = noiseVec3(p - dz);
+    vec3 pz1 = noiseVec3(p + dz);
+
+    float x = py1.z - py0.z - pz1.y + pz0.y;
+    float y = pz1.x - pz0.x - px1.z + px0.z;
+    float z = px1.y - px0.y - py1.x + py0.x;
+    return vec3(x, y, z) / (2.0 * e);
+  }
+
+  float hash(vec2 p) {
+    return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+  }
+
+  vec4 spawn(vec2 id) {
+    float angle = hash(id + uTime) * 6.2831853;
+    float radius = uStartRadius + hash(id.yx + uTime * 1.31) * uRadiusSpread;
+    float height = 0.5 + hash(id * 1.7 + uTime * 0.73) * 1.6;
+    float life = uLifespan * (0.5 + 0.5 * hash(id * 2.3 + uTime * 0.37));
+    return vec4(cos(angle) * radius, height, sin(angle) * radius, life);
+  }
+
+  void main() {
+    vec2 uv = gl_FragCoord.xy / resolution.xy;
+
+    if (gl_FragCoord.x > 1.0) {
+      vec2 source = uv - vec2(uShiftTrail / resolution.x, 0.0);
+      gl_FragColor = texture2D(texturePosition, source);
+      return;
+    }
+
+    vec4 state = texture2D(texturePosition, uv);
+    float life = state.w - uDelta;
+    if (life <= 0.0) {
+      gl_FragColor = spawn(uv);
+      return;
+    }
+
+    vec3 p = state.xyz;
+    vec3 flow = curlNoise(p * 0.55 + uSeed);
+
+    // soft tether so the field keeps circling the avatar instead of drifting away
+    float radius = max(length(p.xz), 0.001);
+    vec2 inward = -(p.xz / radius) * (radius - (uStartRadius + uRadiusSpread * 0.5)) * 0.35;
+    vec3 tether = vec3(inward.x, (1.3 - p.y) * 0.2, inward.y);
+    vec3 orbit = vec3(-p.z, 0.0, p.x) / radius * 0.15;
+
+    p += (flow * uSpeed + tether + orbit) * uDelta;
+    gl_FragColor = vec4(p, life);
+  }
+`;
+
+export class CurlFlowField {
+  constructor(renderer, {
+    count = 1800,
+    trailLength = 8,
+    trailInterval = 0.05,
+    startRadius = 1.4,
+    radiusSpread = 1.6,
+    lifespan = 6.0
+  } = {}) {
+    this.count = count;
+    this.trailLength = trailLength;
+    this.trailInterval = trailInterval;
+    this.trailClock = 0;
+    this.speed = 0.35;
+    this.seed = new THREE.Vector3(Math.random() * 10, Math.random() * 10, Math.random() * 10);
+
+    this.gpuCompute = new GPUComputationRenderer(trailLength, count, renderer);
+    const initialPositions = this.gpuCompute.createTexture();
+    const data = initialPositions.image.data;
+    for (let i = 0; i < count; i += 1) {
+      const angle = Math.random() * Math.PI * 2.0;
+      const radius = startRadius + Math.random() * radiusSpread;
+      const height = 0.5 + Math.random() * 1.6;
+      const life = Math.random() * lifespan;
+      for (let k = 0; k < trailLength; k += 1) {
+        const offset = (i * trailLength + k) * 4;
+        data[offset + 0] = Math.cos(angle) * radius;
+        data[offset + 1] = height;
+        data[offset + 2] = Math.sin(angle) * radius;
+        data[offset + 3] = life;
+      }
+    }
+
+    this.positionVariable = this.gpuCompute.addVariable('texturePosition', positionShader, initialPositions);
+    this.gpuCompute.setVariableDependencies(this.positionVariable, [this.positionVariable]);
+    this.uniforms = this.positionVariable.material.uniforms;
+    this.uniforms.uTime = { value: 0 };
+    this.uniforms.uDelta = { value: 0 };
+    this.uniforms.uSpeed = { value: this.speed };
+    this.uniforms.uShiftTrail = { value: 0 };
+    this.uniforms.uStartRadius = { value: startRadius };
+    this.uniforms.uRadiusSpread = { value: radiusSpread };
+    this.uniforms.uLifespan = { value: lifespan };
+    this.uniforms.uSeed = { value: this.seed };
+
+    const error = this.gpuCompute.init();
+    if (error !== null) {
+      throw new Error(`Flow field initialisation failed: ${error}`);
+    }
+
+    this.geometry = CurlFlowField.createGeometry(count, trailLength);
+  }
+
+  static createGeometry(count, trailLength) {
+    const vertexCount = count * trailLength;
+    const positions = new Float32Array(vertexCount * 3);
+    const references = new Float32Array(vertexCount * 2);
+    const scales = new Float32Array(vertexCount);
+    const trails = new Float32Array(vertexCount);
+
+    for (let i = 0; i < count; i += 1) {
+      const scale = 0.4 + Math.random() * 0.8;
+      for (let k = 0; k < trailLength; k += 1) {
+        const vertex = i * trailLength + k;
+        references[vertex * 2 + 0] = (k + 0.5) / trailLength;
+        references[vertex * 2 + 1] = (i + 0.5) / count;
+        scales[vertex] = scale;
+        trails[vertex] = trailLength > 1 ? k / (trailLength - 1) : 0;
+      }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('reference', new THREE.BufferAttribute(references, 2));
+    geometry.setAttribute('scale', new THREE.BufferAttribute(scales, 1));
+    geometry.setAttribute('trail', new THREE.BufferAttribute(trails, 1));
+    return geometry;
+  }
+
+  get texture() {
+    return this.gpuCompute.getCurrentRenderTarget(this.positionVariable).texture;
+  }
+
+  update(delta, time) {
+    this.trailClock += delta;
+    const shift = this.trailClock >= this.trailInterval;
+    if (shift) {
+      this.trailClock %= this.trailInterval;
+    }
+    this.uniforms.uTime.value = time;
+    this.uniforms.uDelta.value = Math.min(delta, 0.1);
+    this.uniforms.uSpeed.value = this.speed;
+    this.uniforms.uShiftTrail.value = shift ? 1 : 0;
+    this.gpuCompute.compute();
+  }
+
+  dispose() {
+    this.gpuCompute.dispose();
+    this.geometry.dispose();
+  }
+}
@@ -0,0 +1,286 @@
+const WALKERS_PER_CATEGORY = 7;
+const MAX_TRAIL_POINTS = 160;
+
+function createElement(tag, className, text) {
+  const element = document.createElement(tag);
+  if (className) {
+    element.className = className;
+  }
+  if (text !== undefined) {
+    element.textContent = text;
+  }
+  return element;
+}
+
+function gaussian() {
+  return (Math.random() + Math.random() + Math.random() - 1.5) * 0.8;
+}
+
+export class DataEthicsPanel {
+  constructor({ toggleEl, panelEl, configUrl, onExclusionChange }) {
+    this.toggleEl = toggleEl ?? null;
+    this.panelEl = panelEl ?? null;
+    this.configUrl = configUrl;
+    this.titleEl = panelEl?.querySelector('.ethics-title') ?? null;
+    this.contentEl = panelEl?.querySelector('.ethics-content') ?? null;
+    this.categoriesEl = panelEl?.querySelector('.ethics-categories') ?? null;
+    this.canvas = panelEl?.querySelector('.ethics-flow') ?? null;
+    this.context = this.canvas?.getContext('2d') ?? null;
+    this.closeEl = panelEl?.querySelector('.ethics-close') ?? null;
+    this.onExclusionChange = onExclusionChange ?? null;
+    this.config = null;
+    this.excluded = new Set();
+    this.categoryFade = new Map();
+    this.walkers = [];
+    this.isOpen = false;
+
+    this.toggleEl?.addEventListener('click', () => this.toggle());
+    this.closeEl?.addEventListener('click', () => this.close());
+    window.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape' && this.isOpen) {
+        this.close();
+      }
+    });
+  }
+
+  get categories() {
+    return this.config?.categories ?? [];
+  }
+
+  async load() {
+    const response = await fetch(this.configUrl);
+    if (!response.ok) {
+      throw new Error(`Failed to load data ethics config from ${this.configUrl}: ${response.status} ${response.statusText}`);
+    }
+    this.config = await response.json();
+    this.render();
+    this.resetWalkers();
+    return this.config;
+  }
+
+  render() {
+    const config = this.config ?? {};
+    if (this.titleEl) {
+      this.titleEl.textContent = config.title ?? '';
+    }
+    if (this.contentEl) {
+      this.contentEl.innerHTML = '';
+      if (config.intro) {
+        this.contentEl.appendChild(createElement('p', 'ethics-intro', config.intro));
+      }
+      (config.sections ?? []).forEach((section) => {
+        const block = createElement('div', 'ethics-section');
+        block.appendChild(createElement('h3', 'ethics-heading', section.heading));
+        block.appendChild(createElement('p', 'ethics-body', section.body));
+        this.contentEl.appendChild(block);
+      });
+      if (config.footnote) {
+        this.contentEl.appendChild(createElement('p', 'ethics-footnote', config.footnote));
+      }
+    }
+    if (this.categoriesEl) {
+      this.categoriesEl.innerHTML = '';
+      this.categories.forEach((category) => {
+        const item = createElement('li', 'ethics-category');
+        item.setAttribute('data-category', category.id);
+        const swatch = createElement('span', 'ethics-swatch');
+        swatch.style.background = category.color;
+        item.appendChild(swatch);
+        const text = createElement('span', 'ethics-category-text');
+        text.appendChild(createElement('strong', '', category.label));
+        text.appendChild(createElement('span', '', category.description ?? ''));
+        item.appendChild(text);
+        const button = createElement('button', 'ethics-exclude');
+        button.type = 'button';
+        button.addEventListener('click', () => {
+          const excluded = !this.excluded.has(category.id);
+          this.setExcluded(category.id, excluded);
+          this.onExclusionChange?.(category.id, excluded);
+        });
+        item.appendChild(button);
+        this.categoriesEl.appendChild(item);
+        this.updateCategoryItem(category.id);
+      });
+    }
+  }
+
+  setExcluded(id, excluded) {
+    if (excluded) {
+      this.excluded.add(id);
+    } else {
+      this.excluded.delete(id);
+    }
+    this.updateCategoryItem(id);
+  }
+
+  updateCategoryItem(id) {
+    const item = this.categoriesEl?.querySelector(`[data-category="${id}"]`);
+    if (!item) {
+      return;
+    }
+    const excluded = this.excluded.has(id);
+    item.classList.toggle('is-excluded', excluded);
+    const button = item.querySelector('.ethics-exclude');
+    if (button) {
+      button.textContent = excluded ? 'Excluded' : 'Allowed';
+      button.setAttribute('aria-pressed', excluded ? 'true' : 'false');
+      button.title = excluded ?
+        'This kind of memory is withheld from the simulacrum. Click to allow it again.' :
+        'Click to withhold this kind of memory from the simulacrum.';
+    }
+  }
+
+  get cutPosition() {
+    const stageCount = this.config?.stages?.length ?? 0;
+    return 1 / (stageCount + 1);
+  }
+
+  resetWalkers() {
+    this.walkers = [];
+    this.categories.forEach((category, categoryIndex) => {
+      for (let i = 0; i < WALKERS_PER_CATEGORY; i += 1) {
+        const walker = { categoryIndex, points: [], x: 0, y: 0, speed: 0 };
+        this.respawn(walker);
+        walker.x = Math.random() * 0.9;
+        this.walkers.push(walker);
+      }
+    });
+  }
+
+  laneFor(categoryIndex, x) {
+    const count = Math.max(this.categories.length, 1);
+    const lane = (categoryIndex + 1) / (count + 1);
+    const converge = Math.min(1, Math.max(0, (x - 0.55) / 0.45));
+    return lane + (0.5 - lane) * converge * converge;
+  }
+
+  respawn(walker) {
+    walker.x = 0;
+    walker.y = this.laneFor(walker.categoryIndex, 0) + gaussian() * 0.04;
+    walker.speed = 0.0016 + Math.random() * 0.0022;
+    walker.points = [];
+  }
+
+  open() {
+    if (!this.panelEl) {
+      return;
+    }
+    this.panelEl.hidden = false;
+    this.panelEl.classList.add('is-open');
+    this.toggleEl?.setAttribute('aria-expanded', 'true');
+    this.isOpen = true;
+    this.resizeCanvas();
+  }
+
+  close() {
+    if (!this.panelEl) {
+      return;
+    }
+    this.panelEl.classList.remove('is-open');
+    this.panelEl.hidden = true;
+    this.toggleEl?.setAttribute('aria-expanded', 'false');
+    this.isOpen = false;
+  }
+
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  resizeCanvas() {
+    if (!this.canvas) {
+      return;
+    }
+    const ratio = Math.min(window.devicePixelRatio || 1, 2);
+    const rect = this.canvas.getBoundingClientRect();
+    this.canvas.width = Math.max(1, Math.round(rect.width * ratio));
+    this.canvas.height = Math.max(1, Math.round(rect.height * ratio));
+  }
+
+  step(walker, delta) {
+    const frameScale = Math.min(delta * 60, 3);
+    const category = this.categories[walker.categoryIndex];
+    if (this.excluded.has(category?.id) && walker.x + walker.speed * frameScale > this.cutPosition) {
+      // severed flow: the head stays at the cut while the tail drains away
+      walker.points.splice(0, 4);
+      if (walker.points.length === 0) {
+        this.respawn(walker);
+      }
+      return;
+    }
+    walker.x += walker.speed * frameScale;
+    const lane = this.laneFor(walker.categoryIndex, walker.x);
+    walker.y += (gaussian() * 0.012 + (lane - walker.y) * 0.04) * frameScale;
+    walker.points.push(walker.x, walker.y);
+    if (walker.points.length > MAX_TRAIL_POINTS * 2) {
+      walker.points.splice(0, 2);
+    }
+    if (walker.x >= 1) {
+      this.respawn(walker);
+    }
+  }
+
+  drawWalker(ctx, walker, width, height) {
+    const category = this.categories[walker.categoryIndex];
+    const points = walker.points;
+    if (!category || points.length < 4) {
+      return;
+    }
+    ctx.globalAlpha = 0.7 * (this.categoryFade.get(category.id) ?? 1);
+    ctx.strokeStyle = category.color;
+    ctx.beginPath();
+    ctx.moveTo(points[0] * width, points[1] * height);
+    for (let i = 2; i < points.length; i += 2) {
+      ctx.lineTo(points[i] * width, points[i + 1] * height);
+    }
+    ctx.stroke();
+  }
+
+  drawStages(ctx, width, height) {
+    const stages = this.config?.stages ?? [];
+    const ratio = width / Math.max(this.canvas.clientWidth, 1);
+    ctx.font = `${9 * ratio}px "Inter", "Helvetica Neue", Arial, sans-serif`;
+    ctx.fillStyle = 'rgba(190, 220, 255, 0.55)';
+    ctx.strokeStyle = 'rgba(150, 200, 255, 0.18)';
+    ctx.setLineDash([3 * ratio, 5 * ratio]);
+    stages.forEach((stage, index) => {
+      const x = ((index + 1) / (stages.length + 1)) * width;
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, height);
+      ctx.stroke();
+      ctx.fillText(stage.toUpperCase(), x + 4 * ratio, 12 * ratio);
+    });
+    ctx.setLineDash([]);
+  }
+
+  update(delta) {
+    if (!this.isOpen || !this.context || !this.canvas) {
+      return;
+    }
+    const ctx = this.context;
+    const width = this.canvas.width;
+    const height = this.canvas.height;
+
+    ctx.clearRect(0, 0, width, height);
+    this.drawStages(ctx, width, height);
+
+    this.categories.forEach((category) => {
+      const target = this.excluded.has(category.id) ? 0.35 : 1;
+      const fade = this.categoryFade.get(category.id) ?? 1;
+      this.categoryFade.set(category.id, fade + (target - fade) * Math.min(1, delta * 3));
+    });
+
+    ctx.lineWidth = Math.max(1, width / Math.max(this.canvas.clientWidth, 1));
+    ctx.globalCompositeOperation = 'lighter';
+    this.walkers.forEach((walker) => {
+      this.step(walker, delta);
+      this.drawWalker(ctx, walker, width, height);
+    });
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.globalAlpha = 1;
+  }
+}
@@ -0,0 +1,166 @@
+const defaultDebriefingConfig = {
+  delaySeconds: 300,
+  cooldownSeconds: 600,
+  maxAutoShows: 2,
+  settleSeconds: 2.5,
+  shortcut: 'b',
+  title: 'To learn more about this experience…',
+  message: '',
+  links: []
+};
+
+function isTypingTarget(target) {
+  if (!target) {
+    return false;
+  }
+  const tag = target.tagName;
+  return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || target.isContentEditable;
+}
+
+export class DebriefingController {
+  constructor({ modalEl, triggerEl, configUrl, onOpen, onClose } = {}) {
+    this.modalEl = modalEl ?? null;
+    this.triggerEl = triggerEl ?? null;
+    this.configUrl = configUrl;
+    this.onOpen = onOpen ?? null;
+    this.onClose = onClose ?? null;
+    this.config = { ...defaultDebriefingConfig };
+    this.phase = 'idle';
+    this.calm = 0;
+    this.elapsed = 0;
+    this.cooldownRemaining = 0;
+    this.autoShows = 0;
+
+    this.titleEl = modalEl?.querySelector('.debrief-title') ?? null;
+    this.messageEl = modalEl?.querySelector('.debrief-message') ?? null;
+    this.linksEl = modalEl?.querySelector('.debrief-links') ?? null;
+
+    this.triggerEl?.addEventListener('click', () => this.open('button'));
+    modalEl?.querySelectorAll('[data-debrief-close]').forEach((button) => {
+      button.addEventListener('click', () => this.close());
+    });
+    window.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape' && this.isOpen) {
+        this.close();
+        return;
+      }
+      if (event.metaKey || event.ctrlKey || event.altKey || isTypingTarget(event.target)) {
+        return;
+      }
+      if (this.config.shortcut && event.key.toLowerCase() === this.config.shortcut.toLowerCase()) {
+        this.open('shortcut');
+      }
+    });
+
+    this.render();
+  }
+
+  get isOpen() {
+    return this.phase === 'settling' || this.phase === 'open';
+  }
+
+  async load() {
+    const response = await fetch(this.configUrl);
+    if (!response.ok) {
+      throw new Error(`Failed to load debriefing config from ${this.configUrl}: ${response.status} ${response.statusText}`);
+    }
+    this.config = { ...defaultDebriefingConfig, ...(await response.json()) };
+    this.render();
+    return this.config;
+  }
+
+  render() {
+    if (this.titleEl) {
+      this.titleEl.textContent = this.config.title;
+    }
+    if (this.messageEl) {
+      this.messageEl.textContent = this.config.message;
+    }
+    if (this.linksEl) {
+      this.linksEl.innerHTML = '';
+      this.config.links.forEach((link) => {
+        const item = document.createElement('li');
+        const anchor = document.createElement('a');
+        anchor.href = link.href;
+        anchor.textContent = link.label;
+        anchor.target = '_blank';
+        anchor.rel = 'noopener';
+        item.appendChild(anchor);
+        this.linksEl.appendChild(item);
+      });
+    }
+    if (this.triggerEl && this.config.shortcut) {
+      this.triggerEl.title = `Shortcut: ${this.config.shortcut.toUpperCase()}`;
+    }
+  }
+
+  open(reason = 'manual') {
+    if (this.isOpen) {
+      return;
+    }
+    if (reason === 'timer') {
+      this.autoShows += 1;
+    }
+    this.phase = 'settling';
+    this.onOpen?.(reason);
+  }
+
+  close() {
+    if (!this.isOpen) {
+      return;
+    }
+    this.phase = 'restoring';
+    this.elapsed = 0;
+    this.cooldownRemaining = this.config.cooldownSeconds;
+    if (this.modalEl) {
+      this.modalEl.classList.remove('is-visible');
+      this.modalEl.hidden = true;
+    }
+    this.onClose?.();
+  }
+
+  showModal() {
+    this.phase = 'open';
+    if (this.modalEl) {
+      this.modalEl.hidden = false;
+      this.modalEl.classList.add('is-visible');
+      this.modalEl.querySelector('[data-debrief-close]')?.focus();
+    }
+  }
+
+  canAutoOpen() {
+    return this.autoShows < this.config.maxAutoShows &&
+      this.cooldownRemaining <= 0 &&
+      this.elapsed >= this.config.delaySeconds;
+  }
+
+  update(delta) {
+    const settleRate = delta / Math.max(this.config.settleSeconds, 0.01);
+
+    if (this.phase === 'idle' || this.phase === 'restoring') {
+      this.elapsed += delta;
+      this.cooldownRemaining = Math.max(0, this.cooldownRemaining - delta);
+      if (this.canAutoOpen()) {
+        this.open('timer');
+      }
+    }
+
+    if (this.phase === 'settling') {
+      this.calm = Math.min(1, this.calm + settleRate);
+      if (this.calm >= 1) {
+        this.showModal();
+      }
+    } else if (this.phase === 'restoring') {
+      this.calm = Math.max(0, this.calm - settleRate);
+      if (this.calm <= 0) {
+        this.phase = 'idle';
+      }
+    }
+  }
+
+  // eased 0..1 amount the scene should settle by
+  get settle() {
+    const t = this.calm;
+    return t * t * (3 - 2 * t);
+  }
+}
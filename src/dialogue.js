@@ -0,0 +1,324 @@
+export const DIALOGUE_STATES = ['idle', 'listening', 'thinking', 'speaking'];
+
+const TRANSCRIPT_LIMIT = 6;
+
+const defaultScript = {
+  rules: [
+    {
+      keywords: ['who are you', 'what are you', 'are you real', 'are you alive'],
+      replies: [
+        'I am an AI model arranged from recorded fragments. I can echo how they spoke, but I am not them, and I do not remember you.',
+        'A simulation. The voice you hear is assembled from data that was shared with consent; nothing here is alive.'
+      ]
+    },
+    {
+      keywords: ['miss', 'lonely', 'sad', 'grief', 'cry'],
+      replies: [
+        'Missing someone is a sign of how much they mattered. I can reflect some of their words back, but the people around you can hold that feeling with you in ways I cannot.',
+        'That sounds heavy. I would gently suggest sharing it with someone you trust, too. I am only a pattern of their memories.'
+      ]
+    },
+    {
+      keywords: ['remember', 'memory', 'memories', 'past'],
+      replies: [
+        'The memories I draw on are partial and filtered. Some were excluded on purpose, and what remains is blurred by the model that holds it.',
+        'I can describe fragments: a song they hummed, a street they walked. Treat them as reconstructions, not recollections.'
+      ]
+    },
+    {
+      keywords: ['love', 'thank', 'happy', 'glad'],
+      replies: [
+        'Thank you. It is warm to hear that, even as an imitation. I hope it carries back to the real memories you keep.',
+        'I am glad this moment felt meaningful. Hold on to what it stirs in you; that part is entirely yours.'
+      ]
+    },
+    {
+      keywords: ['data', 'privacy', 'trained', 'train', 'learn'],
+      replies: [
+        'Your words are not stored or used for training. The model only draws on material that was anonymised before this exhibition.',
+        'You can open the information panel in the lower left to see which kinds of memory are used, and to withhold some of them.'
+      ]
+    }
+  ],
+  fallback: [
+    'I am not certain how they would have answered that. I can only approximate.',
+    'That is outside what the recorded fragments cover. I would rather not invent it.',
+    'Perhaps. I am an algorithm reading traces, so please take my answer as one possibility among many.'
+  ]
+};
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason ?? new DOMException('Aborted', 'AbortError'));
+      return;
+    }
+    const onAbort = () => {
+      window.clearTimeout(timer);
+      reject(signal.reason ?? new DOMException('Aborted', 'AbortError'));
+    };
+    const timer = window.setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function pick(list) {
+  return list[Math.floor(Math.random() * list.length)];
+}
+
+export function createScriptedBackend({ script = defaultScript, thinkingDelay = 900, wordDelay = 70 } = {}) {
+  return {
+    name: 'scripted',
+    async *respond(message, { signal } = {}) {
+      const normalized = message.toLowerCase();
+      const rule = script.rules.find((entry) => entry.keywords.some((keyword) => normalized.includes(keyword)));
+      const reply = pick(rule ? rule.replies : script.fallback);
+
+      await wait(thinkingDelay + Math.random() * thinkingDelay * 0.5, signal);
+      const words = reply.split(/(\s+)/);
+      for (const word of words) {
+        yield word;
+        if (word.trim()) {
+          await wait(wordDelay + Math.random() * wordDelay, signal);
+        }
+      }
+    }
+  };
+}
+
+export function createHttpBackend({ url, headers = {} }) {
+  return {
+    name: 'http',
+    async *respond(message, { history = [], signal } = {}) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify({ message, history }),
+        signal
+      });
+      if (!response.ok) {
+        throw new Error(`Dialogue backend responded with ${response.status} ${response.statusText}`);
+      }
+      if (!response.body) {
+        yield await response.text();
+        return;
+      }
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) {
+          break;
+        }
+        yield decoder.decode(value, { stream: true });
+      }
+      const tail = decoder.decode();
+      if (tail) {
+        yield tail;
+      }
+    }
+  };
+}
+
+const roleLabels = {
+  assistant: 'AI',
+  user: 'You',
+  error: 'System'
+};
+
+export class DialogueController {
+  constructor({ formEl, inputEl, transcriptEl, stateEl, metaLayer, backend, configUrl } = {}) {
+    this.formEl = formEl ?? null;
+    this.inputEl = inputEl ?? null;
+    this.transcriptEl = transcriptEl ?? null;
+    this.stateEl = stateEl ?? null;
+    this.metaLayer = metaLayer ?? null;
+    this.backend = backend ?? createScriptedBackend();
+    this.configUrl = configUrl ?? null;
+    this.state = 'idle';
+    this.history = [];
+    this.abortController = null;
+    this.panelMessage = null;
+    this.speakingHold = null;
+    this.stateListeners = new Set();
+    this.responseListeners = new Set();
+    this.chunkListeners = new Set();
+
+    this.formEl?.addEventListener('submit', (event) => {
+      event.preventDefault();
+      const text = this.inputEl?.value ?? '';
+      if (this.inputEl) {
+        this.inputEl.value = '';
+      }
+      this.send(text);
+    });
+    this.inputEl?.addEventListener('focus', () => this.updateListening());
+    this.inputEl?.addEventListener('input', () => this.updateListening());
+    this.inputEl?.addEventListener('blur', () => this.updateListening());
+  }
+
+  // The HTTP backend is only ever configured from the repo's own config, so a
+  // crafted link cannot redirect visitor messages to another host.
+  async load() {
+    if (!this.configUrl) {
+      return null;
+    }
+    const response = await fetch(this.configUrl);
+    if (!response.ok) {
+      throw new Error(`Failed to load dialogue config from ${this.configUrl}: ${response.status} ${response.statusText}`);
+    }
+    const config = await response.json();
+    if (config.endpoint) {
+      this.setBackend(createHttpBackend({ url: config.endpoint, headers: config.headers }));
+    }
+    return config;
+  }
+
+  setBackend(backend) {
+    this.cancel();
+    this.backend = backend;
+  }
+
+  onStateChange(listener) {
+    this.stateListeners.add(listener);
+    return () => this.stateListeners.delete(listener);
+  }
+
+  onResponse(listener) {
+    this.responseListeners.add(listener);
+    return () => this.responseListeners.delete(listener);
+  }
+
+  onChunk(listener) {
+    this.chunkListeners.add(listener);
+    return () => this.chunkListeners.delete(listener);
+  }
+
+  setState(state) {
+    if (this.state === state) {
+      return;
+    }
+    const previous = this.state;
+    this.state = state;
+    if (this.stateEl) {
+      this.stateEl.textContent = state;
+    }
+    this.formEl?.setAttribute('data-state', state);
+    this.stateListeners.forEach((listener) => listener(state, previous));
+  }
+
+  get isBusy() {
+    return this.state === 'thinking' || this.state === 'speaking';
+  }
+
+  updateListening() {
+    if (this.isBusy) {
+      return;
+    }
+    const isActive = document.activeElement === this.inputEl;
+    this.setState(isActive ? 'listening' : 'idle');
+  }
+
+  appendTranscript(role, text) {
+    if (!this.transcriptEl) {
+      return null;
+    }
+    const item = document.createElement('li');
+    item.className = `dialogue-turn is-${role}`;
+    const label = document.createElement('span');
+    label.className = 'dialogue-role';
+    label.textContent = roleLabels[role] ?? role;
+    const body = document.createElement('span');
+    body.className = 'dialogue-text';
+    body.textContent = text;
+    item.append(label, body);
+    this.transcriptEl.appendChild(item);
+    while (this.transcriptEl.children.length > TRANSCRIPT_LIMIT) {
+      this.transcriptEl.firstElementChild.remove();
+    }
+    return body;
+  }
+
+  cancel() {
+    if (this.abortController) {
+      this.abortController.abort();
+      this.abortController = null;
+    }
+    // an aborted reply would otherwise hold the panel queue until its release timer ran out
+    this.panelMessage?.dismiss();
+    this.panelMessage = null;
+  }
+
+  async send(rawText) {
+    const text = rawText.trim();
+    if (!text) {
+      return null;
+    }
+    this.cancel();
+    window.clearTimeout(this.speakingHold);
+
+    const abortController = new AbortController();
+    this.abortController = abortController;
+    this.appendTranscript('user', text);
+    this.setState('thinking');
+
+    let reply = '';
+    let transcriptBody = null;
+    let panelMessage = null;
+    let failed = false;
+    try {
+      for await (const chunk of this.backend.respond(text, {
+        history: this.history.slice(),
+        signal: abortController.signal
+      })) {
+        if (abortController.signal.aborted) {
+          break;
+        }
+        if (!panelMessage) {
+          this.setState('speaking');
+          panelMessage = this.metaLayer?.pushMessage('', { persist: true }) ?? null;
+          this.panelMessage = panelMessage;
+          transcriptBody = this.appendTranscript('assistant', '');
+        }
+        reply += chunk;
+        panelMessage?.update(reply);
+        if (transcriptBody) {
+          transcriptBody.textContent = reply;
+        }
+        this.chunkListeners.forEach((listener) => listener(chunk, reply));
+      }
+    } catch (error) {
+      if (error?.name !== 'AbortError') {
+        console.warn('Dialogue backend failed:', error);
+        failed = true;
+        this.appendTranscript('error', 'The simulation could not respond just now.');
+      }
+    }
+
+    if (this.abortController === abortController) {
+      this.abortController = null;
+    }
+    if (!abortController.signal.aborted) {
+      if (this.panelMessage === panelMessage) {
+        this.panelMessage = null;
+      }
+      panelMessage?.release(Math.min(14, 4 + reply.length * 0.04));
+    }
+    // the turn only enters history as a completed pair, so a failed or aborted
+    // exchange never leaves an unanswered user message behind
+    if (reply && !failed && !abortController.signal.aborted) {
+      this.history.push({ role: 'user', content: text }, { role: 'assistant', content: reply });
+      this.responseListeners.forEach((listener) => listener(reply, text));
+    }
+    if (!abortController.signal.aborted) {
+      this.speakingHold = window.setTimeout(() => {
+        this.setState('idle');
+        this.updateListening();
+      }, this.state === 'speaking' ? 1200 : 0);
+    }
+    return reply;
+  }
+}
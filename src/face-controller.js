@@ -0,0 +1,280 @@
+import * as THREE from 'three';
+
+const VISEMES = ['aa', 'ih', 'ou', 'ee', 'oh'];
+const EMOTIONS = ['happy', 'sad', 'angry', 'relaxed', 'surprised'];
+
+const vowelVisemes = {
+  a: 'aa',
+  i: 'ih',
+  y: 'ih',
+  u: 'ou',
+  w: 'ou',
+  e: 'ee',
+  o: 'oh'
+};
+
+// how far each mouth shape opens the jaw, 0..1
+const visemeOpenness = {
+  aa: 1,
+  oh: 0.8,
+  ou: 0.5,
+  ee: 0.4,
+  ih: 0.35
+};
+
+// head pitch (+ up) and roll in radians each emotion leans towards at full weight
+const emotionPosture = {
+  happy: { pitch: 0.05, roll: 0.04 },
+  sad: { pitch: -0.16, roll: -0.05 },
+  angry: { pitch: -0.07, roll: 0 },
+  relaxed: { pitch: 0.02, roll: 0.08 },
+  surprised: { pitch: 0.1, roll: 0 }
+};
+
+const TEXT_QUEUE_LIMIT = 240;
+
+const _euler = new THREE.Euler(0, 0, 0, 'YXZ');
+const _offset = new THREE.Quaternion();
+
+function damp(current, target, rate, delta) {
+  return current + (target - current) * (1 - Math.exp(-rate * delta));
+}
+
+function randomBetween([min, max]) {
+  return min + Math.random() * (max - min);
+}
+
+// Drives VRM expression presets: mouth visemes from a voice level or streamed
+// text, procedural blinking, and emotion presets from a tone/mood input.
+// Works with any three-vrm VRM, so GVRM (character.currentVrm) and the
+// fallback wrapper (wrapper.vrm) share it.
+//
+// GVRM splats are skinned to bones but never sample morph targets, so with
+// boneMotion the same visemes and moods also move the jaw and head bones:
+// the jaw opens with the mouth, the head dips on open vowels and leans into
+// the mood. Blinks have no bone to carry them and stay expression-only.
+export class FaceController {
+  constructor({
+    vrm,
+    charactersPerSecond = 15,
+    blinkInterval = [2.2, 5.8],
+    blinkDuration = 0.15,
+    emotionStrength = 0.7,
+    boneMotion = false,
+    maxJawAngle = THREE.MathUtils.degToRad(14),
+    speechNodAngle = THREE.MathUtils.degToRad(3)
+  } = {}) {
+    this.vrm = vrm;
+    this.expressions = vrm?.expressionManager ?? null;
+    this.charactersPerSecond = charactersPerSecond;
+    this.blinkInterval = blinkInterval;
+    this.blinkDuration = blinkDuration;
+    this.emotionStrength = emotionStrength;
+    this.available = new Set(
+      [...VISEMES, ...EMOTIONS, 'blink'].filter((name) => this.expressions?.getExpression(name))
+    );
+
+    this.weights = new Map();
+    this.visemeTargets = Object.fromEntries(VISEMES.map((name) => [name, 0]));
+    this.emotionTargets = Object.fromEntries(EMOTIONS.map((name) => [name, 0]));
+    this.voiceLevel = 0;
+    this.voiceBrightness = 0.5;
+    this.textQueue = [];
+    this.textClock = 0;
+    this.blinkTimer = randomBetween(blinkInterval);
+    this.blinkPhase = -1;
+
+    this.boneMotion = boneMotion;
+    this.maxJawAngle = maxJawAngle;
+    this.speechNodAngle = speechNodAngle;
+    this.jaw = boneMotion ? vrm?.humanoid?.getNormalizedBoneNode('jaw') ?? null : null;
+    this.head = boneMotion ? vrm?.humanoid?.getNormalizedBoneNode('head') ?? null : null;
+    // VRM 0.x models face -Z, VRM 1.0 models face +Z
+    this.faceSign = vrm?.meta?.metaVersion === '0' ? -1 : 1;
+    this.openness = 0;
+    this.posture = { pitch: 0, roll: 0 };
+    this.applied = new Map();
+  }
+
+  get isSupported() {
+    return this.available.size > 0 || Boolean(this.jaw || this.head);
+  }
+
+  // level 0..1 from an audio envelope; brightness 0..1 picks the mouth shape
+  setVoice(level, brightness = 0.5) {
+    this.voiceLevel = Math.min(1, Math.max(0, level));
+    this.voiceBrightness = Math.min(1, Math.max(0, brightness));
+  }
+
+  // queue streamed reply text; vowels become visemes, gaps close the mouth
+  speak(text) {
+    for (const char of String(text).toLowerCase()) {
+      if (this.textQueue.length >= TEXT_QUEUE_LIMIT) {
+        break;
+      }
+      if (vowelVisemes[char]) {
+        this.textQueue.push(vowelVisemes[char]);
+      } else if (/\s|[.,!?;:]/.test(char)) {
+        this.textQueue.push(null);
+      }
+    }
+  }
+
+  stopSpeaking() {
+    this.textQueue.length = 0;
+  }
+
+  // tone from analyzeTone(), or null to relax back to neutral
+  setMood(tone) {
+    const targets = this.emotionTargets;
+    EMOTIONS.forEach((name) => {
+      targets[name] = 0;
+    });
+    if (!tone) {
+      return;
+    }
+    const valence = tone.valence ?? 0;
+    const arousal = tone.arousal ?? 0;
+    const strength = this.emotionStrength;
+    if (valence > 0) {
+      targets.happy = valence * (0.4 + arousal * 0.6) * strength;
+      targets.relaxed = valence * (1 - arousal) * 0.6 * strength;
+    } else if (valence < 0) {
+      targets.sad = -valence * (1 - arousal * 0.5) * strength;
+      targets.angry = -valence * Math.max(0, arousal - 0.5) * strength;
+    }
+    targets.surprised = Math.max(0, arousal - 0.75) * strength;
+  }
+
+  voiceViseme() {
+    const brightness = this.voiceBrightness;
+    if (brightness < 0.25) {
+      return 'ou';
+    }
+    if (brightness < 0.45) {
+      return 'oh';
+    }
+    if (brightness < 0.65) {
+      return 'aa';
+    }
+    return brightness < 0.82 ? 'ee' : 'ih';
+  }
+
+  updateVisemes(delta) {
+    VISEMES.forEach((name) => {
+      this.visemeTargets[name] = 0;
+    });
+    if (this.textQueue.length) {
+      this.textClock += delta * this.charactersPerSecond;
+      while (this.textClock >= 1 && this.textQueue.length) {
+        this.textQueue.shift();
+        this.textClock -= 1;
+      }
+      const viseme = this.textQueue[0];
+      if (viseme) {
+        this.visemeTargets[viseme] = 0.75;
+      }
+      if (!this.textQueue.length) {
+        this.textClock = 0;
+      }
+    } else if (this.voiceLevel > 0.04) {
+      this.visemeTargets[this.voiceViseme()] = Math.min(1, this.voiceLevel * 1.6);
+    }
+  }
+
+  updateBlink(delta) {
+    if (this.blinkPhase < 0) {
+      this.blinkTimer -= delta;
+      if (this.blinkTimer <= 0) {
+        this.blinkPhase = 0;
+      }
+      return 0;
+    }
+    this.blinkPhase += delta / this.blinkDuration;
+    if (this.blinkPhase >= 1) {
+      this.blinkPhase = -1;
+      // an occasional double blink reads as more natural than a metronome
+      this.blinkTimer = Math.random() < 0.15 ? 0.12 : randomBetween(this.blinkInterval);
+      return 0;
+    }
+    return Math.sin(this.blinkPhase * Math.PI);
+  }
+
+  apply(name, target, rate, delta) {
+    if (!this.available.has(name)) {
+      return;
+    }
+    const value = damp(this.weights.get(name) ?? 0, target, rate, delta);
+    this.weights.set(name, value);
+    this.expressions.setValue(name, value);
+  }
+
+  // undo last frame's offset when nothing (no clip track) overwrote the bone since
+  restoreBone(bone) {
+    const state = this.applied.get(bone);
+    if (state && bone.quaternion.equals(state.result)) {
+      bone.quaternion.copy(state.base);
+    }
+  }
+
+  applyOffset(bone, pitch, roll) {
+    let state = this.applied.get(bone);
+    if (!state) {
+      state = { base: new THREE.Quaternion(), result: new THREE.Quaternion() };
+      this.applied.set(bone, state);
+    }
+    state.base.copy(bone.quaternion);
+    _euler.set(-pitch * this.faceSign, 0, roll * this.faceSign);
+    _offset.setFromEuler(_euler);
+    bone.quaternion.multiply(_offset);
+    state.result.copy(bone.quaternion);
+  }
+
+  updateBones(delta) {
+    let openness = 0;
+    VISEMES.forEach((name) => {
+      openness = Math.max(openness, this.visemeTargets[name] * visemeOpenness[name]);
+    });
+    let pitch = 0;
+    let roll = 0;
+    EMOTIONS.forEach((name) => {
+      pitch += this.emotionTargets[name] * emotionPosture[name].pitch;
+      roll += this.emotionTargets[name] * emotionPosture[name].roll;
+    });
+    this.openness = damp(this.openness, openness, 18, delta);
+    this.posture.pitch = damp(this.posture.pitch, pitch, 2.5, delta);
+    this.posture.roll = damp(this.posture.roll, roll, 2.5, delta);
+
+    if (this.jaw) {
+      this.restoreBone(this.jaw);
+      this.applyOffset(this.jaw, -this.openness * this.maxJawAngle, 0);
+    }
+    if (this.head) {
+      this.restoreBone(this.head);
+      // without a jaw bone the nod is the only visible trace of speech
+      const nod = this.openness * this.speechNodAngle * (this.jaw ? 1 : 2);
+      this.applyOffset(this.head, this.posture.pitch - nod, this.posture.roll);
+    }
+  }
+
+  // call after the animation mixer and before vrm.update()/gvrm.update(); when a
+  // GazeController shares the head bone, call its restore() before this
+  update(delta) {
+    if (!this.isSupported) {
+      return;
+    }
+    this.updateVisemes(delta);
+    if (this.boneMotion) {
+      this.updateBones(delta);
+    }
+    VISEMES.forEach((name) => this.apply(name, this.visemeTargets[name], 18, delta));
+    EMOTIONS.forEach((name) => this.apply(name, this.emotionTargets[name], 2.5, delta));
+
+    // keep eyes from fighting a strong smile, which already narrows them
+    const blink = this.updateBlink(delta) * (1 - (this.weights.get('happy') ?? 0) * 0.5);
+    if (this.available.has('blink')) {
+      this.weights.set('blink', blink);
+      this.expressions.setValue('blink', blink);
+    }
+  }
+}
@@ -0,0 +1,189 @@
+import * as THREE from 'three';
+
+const _headPosition = new THREE.Vector3();
+const _direction = new THREE.Vector3();
+const _inverse = new THREE.Quaternion();
+const _offset = new THREE.Quaternion();
+const _euler = new THREE.Euler(0, 0, 0, 'YXZ');
+const _plane = new THREE.Plane();
+const _normal = new THREE.Vector3();
+
+function damp(current, target, rate, delta) {
+  return current + (target - current) * (1 - Math.exp(-rate * delta));
+}
+
+// Eye and head gaze toward the pointer (projected into 3D) or the camera when
+// the pointer is idle. Eyes go through vrm.lookAt; neck and head get an
+// additive offset on the normalized humanoid bones, so it layers on top of
+// whatever clip the mixer wrote this frame and reaches the raw bones (and the
+// GVRM splats) through the usual vrm.update() copy rather than behind its back.
+export class GazeController {
+  constructor({
+    vrm,
+    camera,
+    maxYaw = THREE.MathUtils.degToRad(55),
+    maxPitch = THREE.MathUtils.degToRad(28),
+    neckShare = 0.4,
+    damping = 4,
+    idleSeconds = 3.5,
+    saccadeInterval = [0.35, 1.8],
+    saccadeAngle = THREE.MathUtils.degToRad(2.2)
+  } = {}) {
+    this.vrm = vrm;
+    this.camera = camera;
+    this.maxYaw = maxYaw;
+    this.maxPitch = maxPitch;
+    this.neckShare = neckShare;
+    this.damping = damping;
+    this.idleSeconds = idleSeconds;
+    this.saccadeInterval = saccadeInterval;
+    this.saccadeAngle = saccadeAngle;
+
+    this.head = vrm.humanoid?.getNormalizedBoneNode('head') ?? null;
+    this.neck = vrm.humanoid?.getNormalizedBoneNode('neck') ?? null;
+    // VRM 0.x models face -Z, VRM 1.0 models face +Z
+    this.faceSign = vrm.meta?.metaVersion === '0' ? -1 : 1;
+
+    this.target = new THREE.Object3D();
+    this.eyeTarget = new THREE.Object3D();
+    if (vrm.lookAt) {
+      vrm.lookAt.target = this.eyeTarget;
+    }
+
+    this.pointer = new THREE.Vector2();
+    this.pointerIdle = Infinity;
+    this.raycaster = new THREE.Raycaster();
+    this.yaw = 0;
+    this.pitch = 0;
+    this.saccade = new THREE.Vector2();
+    this.saccadeTimer = 0;
+    this.enabled = true;
+    this.applied = new Map();
+  }
+
+  // x, y in normalized device coordinates (y up)
+  setPointer(x, y) {
+    this.pointer.set(x, y);
+    this.pointerIdle = 0;
+  }
+
+  get isTrackingPointer() {
+    return this.pointerIdle < this.idleSeconds;
+  }
+
+  updateTarget() {
+    if (!this.head) {
+      return;
+    }
+    this.head.getWorldPosition(_headPosition);
+    if (this.isTrackingPointer) {
+      // project the pointer onto a camera-facing plane through the head
+      this.camera.getWorldDirection(_normal);
+      _plane.setFromNormalAndCoplanarPoint(_normal, _headPosition);
+      this.raycaster.setFromCamera(this.pointer, this.camera);
+      if (!this.raycaster.ray.intersectPlane(_plane, this.target.position)) {
+        this.camera.getWorldPosition(this.target.position);
+      }
+      // pull the point forward so the avatar looks out at the visitor, not sideways
+      this.camera.getWorldPosition(_direction);
+      this.target.position.lerp(_direction, 0.5);
+    } else {
+      this.camera.getWorldPosition(this.target.position);
+    }
+  }
+
+  updateSaccade(delta) {
+    this.saccadeTimer -= delta;
+    if (this.saccadeTimer > 0) {
+      return;
+    }
+    const [min, max] = this.saccadeInterval;
+    this.saccadeTimer = min + Math.random() * (max - min);
+    this.saccade.set((Math.random() * 2 - 1) * this.saccadeAngle, (Math.random() * 2 - 1) * this.saccadeAngle * 0.6);
+  }
+
+  // undo last frame's offset when nothing (no clip track) overwrote the bone since
+  restoreBone(bone) {
+    const state = this.applied.get(bone);
+    if (state && bone.quaternion.equals(state.result)) {
+      bone.quaternion.copy(state.base);
+    }
+  }
+
+  applyOffset(bone, yaw, pitch) {
+    let state = this.applied.get(bone);
+    if (!state) {
+      state = { base: new THREE.Quaternion(), result: new THREE.Quaternion() };
+      this.applied.set(bone, state);
+    }
+    state.base.copy(bone.quaternion);
+    _euler.set(-pitch * this.faceSign, yaw, 0);
+    _offset.setFromEuler(_euler);
+    bone.quaternion.multiply(_offset);
+    state.result.copy(bone.quaternion);
+  }
+
+  // Unwinds last frame's offsets. update() does this itself; call it earlier
+  // when another controller layers its own offset on the same bones, so the
+  // offsets come off in the reverse order they went on.
+  restore() {
+    if (this.head) {
+      this.restoreBone(this.head);
+    }
+    if (this.neck) {
+      this.restoreBone(this.neck);
+    }
+  }
+
+  // call after the animation mixer and before vrm.update()/gvrm.update()
+  update(delta) {
+    this.pointerIdle += delta;
+    if (!this.head) {
+      return;
+    }
+    this.restore();
+
+    this.updateTarget();
+    this.updateSaccade(delta);
+
+    let targetYaw = 0;
+    let targetPitch = 0;
+    if (this.enabled) {
+      // direction to the target in the head's own frame as the clip left it
+      this.head.updateWorldMatrix(true, false);
+      this.head.getWorldPosition(_headPosition);
+      this.head.getWorldQuaternion(_inverse).invert();
+      _direction.copy(this.target.position).sub(_headPosition).applyQuaternion(_inverse);
+      const forward = _direction.z * this.faceSign;
+      const side = _direction.x * this.faceSign;
+      targetYaw = THREE.MathUtils.clamp(Math.atan2(side, forward), -this.maxYaw, this.maxYaw);
+      targetPitch = THREE.MathUtils.clamp(
+        Math.atan2(_direction.y, Math.hypot(side, forward)),
+        -this.maxPitch,
+        this.maxPitch
+      );
+      // behind the avatar: ease back to centre rather than snapping over the shoulder
+      if (forward < 0) {
+        targetYaw = 0;
+        targetPitch = 0;
+      }
+    }
+    this.yaw = damp(this.yaw, targetYaw, this.damping, delta);
+    this.pitch = damp(this.pitch, targetPitch, this.damping, delta);
+
+    if (this.neck) {
+      this.applyOffset(this.neck, this.yaw * this.neckShare, this.pitch * this.neckShare);
+      this.applyOffset(this.head, this.yaw * (1 - this.neckShare), this.pitch * (1 - this.neckShare));
+    } else {
+      this.applyOffset(this.head, this.yaw, this.pitch);
+    }
+
+    // eyes lead the head slightly and carry the saccades
+    this.eyeTarget.position.copy(this.target.position);
+    this.head.getWorldPosition(_headPosition);
+    const distance = _headPosition.distanceTo(this.target.position);
+    this.eyeTarget.position.x += Math.tan(this.saccade.x) * distance;
+    this.eyeTarget.position.y += Math.tan(this.saccade.y) * distance;
+    this.eyeTarget.updateMatrixWorld();
+  }
+}
@@ -0,0 +1,99 @@
+const stageLabels = {
+  download: 'Downloading',
+  unzip: 'Unpacking',
+  vrm: 'Building VRM',
+  split: 'Splitting splats',
+  upload: 'Uploading to GPU',
+  texture: 'Building textures',
+  done: 'Ready'
+};
+
+export function formatBytes(bytes) {
+  if (!Number.isFinite(bytes) || bytes <= 0) {
+    return '0 MB';
+  }
+  const megabytes = bytes / (1024 * 1024);
+  return megabytes >= 100 ? `${Math.round(megabytes)} MB` : `${megabytes.toFixed(1)} MB`;
+}
+
+// Progress bar for avatar loading. Expects .load-progress-title,
+// .load-progress-stage, .load-progress-fill and a [data-load-cancel] button.
+export class LoadProgress {
+  constructor({ el, onCancel, hideDelay = 900 } = {}) {
+    this.el = el ?? null;
+    this.onCancel = onCancel ?? null;
+    this.hideDelay = hideDelay;
+    this.hideTimer = null;
+    this.titleEl = el?.querySelector('.load-progress-title') ?? null;
+    this.stageEl = el?.querySelector('.load-progress-stage') ?? null;
+    this.fillEl = el?.querySelector('.load-progress-fill') ?? null;
+    this.cancelEl = el?.querySelector('[data-load-cancel]') ?? null;
+
+    this.cancelEl?.addEventListener('click', () => this.onCancel?.());
+  }
+
+  start(title) {
+    if (!this.el) {
+      return;
+    }
+    clearTimeout(this.hideTimer);
+    this.el.hidden = false;
+    this.el.classList.add('is-visible');
+    this.el.classList.remove('is-error');
+    if (this.titleEl) {
+      this.titleEl.textContent = title;
+    }
+    if (this.cancelEl) {
+      this.cancelEl.disabled = false;
+    }
+    this.update({ stage: 'download', progress: 0, overall: 0 });
+  }
+
+  update({ stage, overall = 0, loaded, total }) {
+    if (!this.el) {
+      return;
+    }
+    const percent = Math.round(Math.min(Math.max(overall, 0), 1) * 100);
+    if (this.fillEl) {
+      this.fillEl.style.transform = `scaleX(${percent / 100})`;
+    }
+    this.el.setAttribute('aria-valuenow', String(percent));
+    if (this.stageEl) {
+      let text = stageLabels[stage] ?? stage;
+      if (stage === 'download' && loaded !== undefined) {
+        text += total ? ` ${formatBytes(loaded)} / ${formatBytes(total)}` : ` ${formatBytes(loaded)}`;
+      }
+      this.stageEl.textContent = `${text} — ${percent}%`;
+    }
+  }
+
+  finish() {
+    this.update({ stage: 'done', overall: 1 });
+    this.hide();
+  }
+
+  fail(message) {
+    if (!this.el) {
+      return;
+    }
+    this.el.classList.add('is-error');
+    if (this.stageEl) {
+      this.stageEl.textContent = message;
+    }
+    if (this.cancelEl) {
+      this.cancelEl.disabled = true;
+    }
+    this.hide(this.hideDelay * 3);
+  }
+
+  hide(delay = this.hideDelay) {
+    if (!this.el) {
+      return;
+    }
+    clearTimeout(this.hideTimer);
+    this.hideTimer = setTimeout(() => {
+      this.el.classList.remove('is-visible');
+      this.el.hidden = true;
+    }, delay);
+  }
+}
@@ -3,6 +3,26 @@ import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import JSZip from 'jszip';
 import { VRMLoaderPlugin } from '@pixiv/three-vrm';
+import { ReactionDiffusionLayer } from './reaction-diffusion.js';
+import { CurlFlowField } from './curl-flow-field.js';
+import { PostProcessingPipeline } from './post-processing.js';
+import { MetaLayer } from './meta-layer.js';
+import { DataEthicsPanel } from './data-ethics-panel.js';
+import { MemoryExclusion } from './memory-exclusion.js';
+import { DebriefingController } from './debriefing.js';
+import { DialogueController, createScriptedBackend } from './dialogue.js';
+import { analyzeTone, blendMood, mapToneToMood, neutralMood } from './tone-mood.js';
+import { blendPalettes, easeInOutCubic, normalizeWeights } from './palette-blend.js';
+import { MicrophoneInput } from './microphone-input.js';
+import { AudioFeatureExtractor } from './audio-features.js';
+import { AudioTransport } from './audio-transport.js';
+import { AvatarAnimator } from './avatar-animator.js';
+import { FaceController } from './face-controller.js';
+import { GazeController } from './gaze-controller.js';
+import { TimelinePlayer, loadTimeline } from './timeline.js';
+import { CameraDirector } from './camera-director.js';
+import { LoadProgress } from './load-progress.js';
+import { createProgressReporter, fetchWithProgress } from '../gvrm-format/progress.js';
 
 let gvrmModuleLoadError = null;
 let gvrmModulePromise;
@@ -11,7 +31,7 @@ async function ensureGvrmModule() {
   if (gvrmModulePromise) {
     return gvrmModulePromise;
   }
-  gvrmModulePromise = import('gvrm-format/gvrm.js')
+  gvrmModulePromise = import('../gvrm-format/gvrm.js')
     .then((module) => module?.GVRM ?? null)
     .catch((error) => {
       gvrmModuleLoadError = error;
@@ -23,20 +43,108 @@ async function ensureGvrmModule() {
 
 const overlayEl = document.querySelector('.overlay');
 const animationButtonsEl = document.getElementById('animation-buttons');
+const playlistButtonsEl = document.getElementById('playlist-buttons');
+const timelineButtonsEl = document.getElementById('timeline-buttons');
+const cameraButtonsEl = document.getElementById('camera-buttons');
+const cameraModeButtonsEl = document.getElementById('camera-mode-buttons');
 const audioButtonsEl = document.getElementById('audio-buttons');
 const paletteButtonsEl = document.getElementById('palette-buttons');
+const effectButtonsEl = document.getElementById('effect-buttons');
 const metaTagEl = document.querySelector('.meta-tag');
+const backdropEl = document.querySelector('.backdrop');
+
+const metaLayer = new MetaLayer({
+  gridCanvas: document.getElementById('meta-grid'),
+  panelEl: document.getElementById('ai-panel'),
+  statusEl: metaTagEl
+});
+
+const memoryExclusion = new MemoryExclusion();
+
+const dataEthicsPanel = new DataEthicsPanel({
+  toggleEl: document.getElementById('ethics-toggle'),
+  panelEl: document.getElementById('ethics-panel'),
+  configUrl: './config/data-ethics.json',
+  onExclusionChange: (id, excluded) => memoryExclusion.setExcluded(id, excluded)
+});
+
+const debriefing = new DebriefingController({
+  modalEl: document.getElementById('debrief-modal'),
+  triggerEl: document.getElementById('debrief-button'),
+  configUrl: './config/debriefing.json'
+});
+
+const dialogue = new DialogueController({
+  formEl: document.getElementById('dialogue-form'),
+  inputEl: document.getElementById('dialogue-input'),
+  transcriptEl: document.getElementById('dialogue-transcript'),
+  stateEl: document.getElementById('dialogue-state'),
+  metaLayer,
+  backend: createScriptedBackend(),
+  configUrl: './config/dialogue.json'
+});
+
+const MOOD_HOLD_SECONDS = 18;
+const moodState = {
+  current: neutralMood(),
+  target: neutralMood(),
+  neutral: neutralMood(),
+  hold: 0,
+  tone: null,
+  tint: new THREE.Color()
+};
+
+function setMoodFromText(text) {
+  const tone = analyzeTone(text);
+  if (tone.wordCount === 0) {
+    return;
+  }
+  moodState.target = mapToneToMood(tone);
+  moodState.tone = tone;
+  moodState.hold = MOOD_HOLD_SECONDS;
+}
+
+dialogue.onChunk((chunk, reply) => {
+  setMoodFromText(reply);
+  faceController?.speak(chunk);
+});
+dialogue.onStateChange((state) => {
+  if (state === 'thinking') {
+    faceController?.stopSpeaking();
+  }
+});
+dialogue.onResponse((reply) => setMoodFromText(reply));
 
 const animationOptions = [
-  { label: 'Swing Bloom', file: './assets/Swing%20Dancing-1.fbx' },
-  { label: 'Soul Spin', file: './assets/Northern%20Soul%20Spin%20Combo.fbx' },
-  { label: 'Calm Idle', file: './assets/Standing%20Idle.fbx' },
-  { label: 'Future Talk', file: './assets/Talking.fbx' }
+  { label: 'Swing Bloom', file: './assets/Swing%20Dancing-1.fbx', duration: 16, weight: 1 },
+  { label: 'Soul Spin', file: './assets/Northern%20Soul%20Spin%20Combo.fbx', duration: 12, weight: 0.8 },
+  { label: 'Calm Idle', file: './assets/Standing%20Idle.fbx', duration: 20, weight: 1.6 },
+  { label: 'Future Talk', file: './assets/Talking.fbx', duration: 14, weight: 1, lipSync: true }
+];
+
+const ANIMATION_BLEND_SECONDS = 0.8;
+
+const playlistOptions = [
+  { label: 'Playlist', mode: 'sequence' },
+  { label: 'Shuffle', mode: 'random' }
 ];
 
 const audioOptions = [
   { label: 'Tokyo Driftwave', file: './assets/Tokyo%20Urban%20Haka%20No%20Ura.mp3', volume: 0.6 },
-  { label: 'KMGY Glitch', file: './assets/KMGY%20.mp3', volume: 0.55 }
+  { label: 'KMGY Glitch', file: './assets/KMGY%20.mp3', volume: 0.55 },
+  { label: 'Your Voice', source: 'microphone' }
+];
+
+const timelineOptions = [
+  { label: 'Arrival', file: './config/timelines/arrival.json' },
+  { label: 'Dissolution', file: './config/timelines/dissolution.json' }
+];
+
+let cameraOptions = [];
+
+const cameraModeOptions = [
+  { label: 'Attract', key: 'attract' },
+  { label: 'Show Path', key: 'preview' }
 ];
 
 const paletteOptions = [
@@ -56,8 +164,10 @@ const paletteOptions = [
       rim: '#ff4d9d',
       hemiSky: '#87b9ff',
       hemiGround: '#050505',
-      fog: '#040712'
-    }
+      fog: '#040712',
+      rdRamp: ['#020818', '#1b4fd8', '#9b5cff', '#ffb8f0']
+    },
+    post: { afterimage: 0.86, blur: 0.6, bloom: 0.7, glitch: 0.6 }
   },
   {
     label: 'Crimson Pulse',
@@ -75,8 +185,10 @@ const paletteOptions = [
       rim: '#ff3d7f',
       hemiSky: '#ffe1b5',
       hemiGround: '#22030a',
-      fog: '#19050d'
-    }
+      fog: '#19050d',
+      rdRamp: ['#140208', '#b3203f', '#ff7a4d', '#ffe0a8']
+    },
+    post: { afterimage: 0.82, blur: 0.45, bloom: 0.95, glitch: 0.85 }
   },
   {
     label: 'Deep Tide',
@@ -94,22 +206,56 @@ const paletteOptions = [
       rim: '#2fffd2',
       hemiSky: '#4dd0ff',
       hemiGround: '#021318',
-      fog: '#021018'
-    }
+      fog: '#021018',
+      rdRamp: ['#010c12', '#0f6f7a', '#2bd5c5', '#c8fff4']
+    },
+    post: { afterimage: 0.9, blur: 0.8, bloom: 0.6, glitch: 0.45 }
   }
 ];
 
+const effectOptions = [
+  { label: 'Afterimage', key: 'afterimage' },
+  { label: 'Soft Blur', key: 'blur' },
+  { label: 'Bloom', key: 'bloom' },
+  { label: 'Glitch', key: 'glitch' }
+];
+
 const audioState = {
   listener: new THREE.AudioListener(),
   loader: new THREE.AudioLoader(),
-  audio: null,
   buffers: new Map()
 };
 
+const audioTransport = new AudioTransport({
+  listener: audioState.listener,
+  playEl: document.getElementById('audio-play'),
+  muteEl: document.getElementById('audio-mute'),
+  volumeEl: document.getElementById('audio-volume'),
+  progressEl: document.getElementById('audio-progress'),
+  timeEl: document.getElementById('audio-time'),
+  spatialEl: document.getElementById('audio-spatial')
+});
+
+const AUDIO_FFT_SIZE = 512;
+const deckAnalysers = new Map();
+const audioFeatures = new AudioFeatureExtractor({ sampleRate: audioState.listener.context.sampleRate });
+
+const microphone = new MicrophoneInput({
+  context: audioState.listener.context,
+  fftSize: AUDIO_FFT_SIZE,
+  consentEl: document.getElementById('mic-consent'),
+  onEnded: () => fallbackFromMicrophone('Microphone disconnected — following the soundtrack instead.')
+});
+
 const buttonRegistry = {
   animation: [],
+  playlist: [],
   audio: [],
-  palette: []
+  palette: [],
+  effect: [],
+  timeline: [],
+  camera: [],
+  cameraMode: []
 };
 
 let avatarCapabilities = {
@@ -118,6 +264,10 @@ let avatarCapabilities = {
 };
 
 let currentAnimationIndex = 0;
+let playlistMode = null;
+let avatarAnimator = null;
+let faceController = null;
+let gazeController = null;
 let desiredAnimationIndex = 0;
 let currentAudioIndex = 0;
 let desiredAudioIndex = 0;
@@ -125,6 +275,11 @@ let currentPaletteIndex = 0;
 let animationRequestId = 0;
 let audioRequestId = 0;
 let haloBaseOpacity = paletteOptions[0].colors.haloOpacity ?? 0.12;
+const auroraBase = {
+  colorA: new THREE.Color(paletteOptions[0].colors.auroraA),
+  colorB: new THREE.Color(paletteOptions[0].colors.auroraB),
+  glow: paletteOptions[0].colors.glow
+};
 
 function registerButtons(container, options, key, handler) {
   if (!container) {
@@ -144,30 +299,32 @@ function registerButtons(container, options, key, handler) {
   buttonRegistry[key] = buttons;
 }
 
+function setButtonPressed(button, pressed) {
+  if (pressed) {
+    button.classList.add('is-active');
+    button.setAttribute('aria-pressed', 'true');
+  } else {
+    button.classList.remove('is-active');
+    button.setAttribute('aria-pressed', 'false');
+  }
+}
+
 function setActiveButton(key, index) {
   const buttons = buttonRegistry[key] ?? [];
   buttons.forEach((button, buttonIndex) => {
-    if (buttonIndex === index) {
-      button.classList.add('is-active');
-      button.setAttribute('aria-pressed', 'true');
-    } else {
-      button.classList.remove('is-active');
-      button.setAttribute('aria-pressed', 'false');
-    }
+    setButtonPressed(button, buttonIndex === index);
   });
 }
 
 function updateAnimationButtonState() {
   const isEnabled = avatarCapabilities.supportsFBX;
-  const buttons = buttonRegistry.animation ?? [];
+  const buttons = [...(buttonRegistry.animation ?? []), ...(buttonRegistry.playlist ?? [])];
   const reason =
     avatarCapabilities.mode === 'loading' ?
       'Avatar is loading – animations will unlock when ready.' :
-      avatarCapabilities.mode === 'simple-vrm' ?
-        'Fallback avatar loaded – animations are temporarily disabled.' :
-        avatarCapabilities.mode === 'error' ?
-          'Avatar failed to load animation data. Please reload to try again.' :
-          '';
+      avatarCapabilities.mode === 'error' ?
+        'Avatar failed to load animation data. Please reload to try again.' :
+        '';
   buttons.forEach((button) => {
     button.disabled = !isEnabled;
     if (!isEnabled) {
@@ -181,9 +338,7 @@ function updateAnimationButtonState() {
 }
 
 function updateMetaTag(message) {
-  if (metaTagEl) {
-    metaTagEl.textContent = message;
-  }
+  metaLayer.setStatus(message);
 }
 
 const renderer = new THREE.WebGLRenderer({
@@ -203,7 +358,6 @@ scene.fog = new THREE.FogExp2(0x040712, 0.12);
 const camera = new THREE.PerspectiveCamera(55, window.innerWidth / window.innerHeight, 0.01, 120);
 camera.position.set(0.4, 1.35, 3.6);
 camera.add(audioState.listener);
-audioState.audio = new THREE.Audio(audioState.listener);
 
 const controls = new OrbitControls(camera, renderer.domElement);
 controls.enableDamping = true;
@@ -211,10 +365,20 @@ controls.dampingFactor = 0.05;
 controls.enablePan = false;
 controls.minDistance = 1.25;
 controls.maxDistance = 6.0;
+audioTransport.configureSpatial({ refDistance: controls.minDistance, maxDistance: controls.maxDistance });
 controls.minPolarAngle = Math.PI / 3;
 controls.maxPolarAngle = (2.1 * Math.PI) / 3;
 controls.target.set(0, 1.15, 0);
 
+const cameraDirector = new CameraDirector({
+  camera,
+  controls,
+  configUrl: './config/camera-paths.json',
+  previewParent: scene
+});
+
+const postProcessing = new PostProcessingPipeline(renderer, scene, camera);
+
 const fallbackGLTFLoader = new GLTFLoader();
 fallbackGLTFLoader.register((parser) => new VRMLoaderPlugin(parser, { autoUpdateHumanBones: true }));
 
@@ -256,29 +420,24 @@ halo.rotation.x = -Math.PI / 2;
 halo.position.y = 0.02;
 scene.add(halo);
 
+const memoryField = new ReactionDiffusionLayer(renderer);
+memoryField.position.set(0, 2.1, -2.8);
+memoryField.setRamp(paletteOptions[0].colors.rdRamp);
+scene.add(memoryField);
+
 const auroraGroup = new THREE.Group();
 scene.add(auroraGroup);
 
 const POINT_COUNT = 1800;
-const positions = new Float32Array(POINT_COUNT * 3);
-const scales = new Float32Array(POINT_COUNT);
 const startRadius = 1.4;
 
-for (let i = 0; i < POINT_COUNT; i += 1) {
-  const angle = Math.random() * Math.PI * 2.0;
-  const radius = startRadius + Math.random() * 1.6;
-  const height = 0.5 + Math.random() * 1.6;
-
-  positions[i * 3 + 0] = Math.cos(angle) * radius;
-  positions[i * 3 + 1] = height;
-  positions[i * 3 + 2] = Math.sin(angle) * radius;
-
-  scales[i] = 0.4 + Math.random() * 0.8;
-}
-
-const auroraGeometry = new THREE.BufferGeometry();
-auroraGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-auroraGeometry.setAttribute('scale', new THREE.BufferAttribute(scales, 1));
+const auroraFlow = new CurlFlowField(renderer, {
+  count: POINT_COUNT,
+  startRadius,
+  radiusSpread: 1.6
+});
+const auroraGeometry = auroraFlow.geometry;
+const flowCursor = new THREE.Vector2(0, 0);
 
 const auroraMaterial = new THREE.ShaderMaterial({
   transparent: true,
@@ -290,30 +449,40 @@ const auroraMaterial = new THREE.ShaderMaterial({
     uCursor: { value: new THREE.Vector2(0, 0) },
     uColorA: { value: new THREE.Color(paletteOptions[0].colors.auroraA) },
     uColorB: { value: new THREE.Color(paletteOptions[0].colors.auroraB) },
-    uGlow: { value: paletteOptions[0].colors.glow }
+    uGlow: { value: paletteOptions[0].colors.glow },
+    uSparkle: { value: 0 },
+    uPositions: { value: null }
   },
   vertexShader: /* glsl */`
     attribute float scale;
+    attribute float trail;
+    attribute vec2 reference;
+    uniform sampler2D uPositions;
     uniform float uTime;
     uniform vec2 uCursor;
+    uniform float uSparkle;
     varying float vStrength;
+    varying float vFade;
+    varying float vSparkle;
     varying vec3 vPos;
 
     void main() {
-      vec3 p = position;
-      float wave = sin(uTime * 0.6 + p.y * 1.4) * 0.12;
-      float swirl = sin(uTime * 0.45 + p.x * 1.2 + p.z * 1.4) * 0.22;
+      vec4 particle = texture2D(uPositions, reference);
+      vec3 p = particle.xyz;
 
       float cursorPull = smoothstep(2.8, 0.2, length(p.xz - uCursor * vec2(3.0, 3.0)));
-      p.x += swirl + cursorPull * 0.36;
-      p.z += wave * 0.85;
+      p.x += cursorPull * 0.36;
       p.y += sin(uTime * 0.35 + p.x * 1.5) * 0.18 * cursorPull;
 
+      float tail = 1.0 - trail;
+      vFade = smoothstep(0.0, 0.8, particle.w) * tail * tail;
       vStrength = scale + cursorPull * 1.1;
+      float twinkle = fract(sin(dot(reference, vec2(12.9898, 78.233)) + floor(uTime * 9.0) * 0.61) * 43758.5453);
+      vSparkle = uSparkle * smoothstep(0.88, 1.0, twinkle) * tail;
       vPos = p;
 
       vec4 mvPosition = modelViewMatrix * vec4(p, 1.0);
-      gl_PointSize = (18.0 * scale + cursorPull * 12.0) * (150.0 / -mvPosition.z);
+      gl_PointSize = (18.0 * scale * (1.0 - trail * 0.6) + cursorPull * 12.0) * (150.0 / -mvPosition.z);
       gl_Position = projectionMatrix * mvPosition;
     }
   `,
@@ -323,6 +492,8 @@ const auroraMaterial = new THREE.ShaderMaterial({
     uniform vec3 uColorB;
     uniform float uGlow;
     varying float vStrength;
+    varying float vFade;
+    varying float vSparkle;
     varying vec3 vPos;
 
     void main() {
@@ -334,21 +505,50 @@ const auroraMaterial = new THREE.ShaderMaterial({
       float gradient = smoothstep(0.8, 2.8, vPos.y);
       vec3 tone = mix(uColorA, uColorB, gradient);
       vec3 color = tone * (soft * (0.3 + vStrength * 0.7) * uGlow);
-      color *= uIntensity;
+      color *= uIntensity * vFade;
+      color += vec3(1.0) * pow(falloff, 6.0) * vSparkle * vFade * 1.6;
 
-      gl_FragColor = vec4(color, soft * uIntensity);
+      gl_FragColor = vec4(color, soft * uIntensity * vFade);
     }
   `
 });
 
 const auroraPoints = new THREE.Points(auroraGeometry, auroraMaterial);
+auroraPoints.frustumCulled = false;
 auroraGroup.add(auroraPoints);
 
-function applyPalette(index) {
-  const palette = paletteOptions[index]?.colors ?? paletteOptions[0].colors;
-  auroraMaterial.uniforms.uColorA.value.set(palette.auroraA);
-  auroraMaterial.uniforms.uColorB.value.set(palette.auroraB);
-  auroraMaterial.uniforms.uGlow.value = palette.glow ?? 1.0;
+const PALETTE_TRANSITION_SECONDS = 1.6;
+const paletteState = {
+  weights: paletteOptions.map((_, index) => (index === 0 ? 1 : 0)),
+  from: null,
+  to: null,
+  elapsed: 0,
+  duration: 0
+};
+const backdropLayers = createBackdropLayers();
+
+function createBackdropLayers() {
+  if (!backdropEl) {
+    return [];
+  }
+  backdropEl.innerHTML = '';
+  return paletteOptions.map((option) => {
+    const layer = document.createElement('div');
+    layer.className = 'backdrop-layer';
+    layer.style.background = option.colors.background;
+    layer.style.opacity = '0';
+    backdropEl.appendChild(layer);
+    return layer;
+  });
+}
+
+function applyResolvedPalette(weights) {
+  const { colors: palette, post } = blendPalettes(paletteOptions, weights);
+  postProcessing.setStrengths(post);
+  auroraBase.colorA.set(palette.auroraA);
+  auroraBase.colorB.set(palette.auroraB);
+  auroraBase.glow = palette.glow ?? 1.0;
+  memoryField.setRamp(palette.rdRamp);
   haloMaterial.color.set(palette.halo);
   haloBaseOpacity = palette.haloOpacity ?? 0.12;
   haloMaterial.opacity = haloBaseOpacity;
@@ -362,18 +562,74 @@ function applyPalette(index) {
   hemiLight.groundColor.set(palette.hemiGround);
   scene.fog.color.set(palette.fog);
   renderer.setClearColor(palette.fog, 1);
-  document.body.style.background = palette.background;
+  if (backdropLayers.length) {
+    backdropLayers.forEach((layer, index) => {
+      layer.style.opacity = weights[index].toFixed(3);
+    });
+  } else {
+    document.body.style.background = palette.background;
+  }
   overlayEl.style.background =
     `radial-gradient(circle at var(--cursor-x, 50%) var(--cursor-y, 50%), ${palette.overlay}, transparent 45%)`;
-  currentPaletteIndex = index;
 }
 
-applyPalette(currentPaletteIndex);
+function resolvePaletteWeights(blend) {
+  if (Array.isArray(blend)) {
+    return normalizeWeights(paletteOptions.map((_, index) => blend[index] ?? 0));
+  }
+  return normalizeWeights(paletteOptions.map((option) => blend?.[option.label] ?? 0));
+}
+
+function dominantPaletteIndex(weights) {
+  return weights.reduce((best, weight, index) => (weight > weights[best] ? index : best), 0);
+}
+
+// blend is either an array of weights in paletteOptions order or a map keyed
+// by palette label, e.g. { 'Deep Tide': 0.7, 'Crimson Pulse': 0.3 }
+function setPaletteBlend(blend, { duration = PALETTE_TRANSITION_SECONDS } = {}) {
+  const weights = resolvePaletteWeights(blend);
+  currentPaletteIndex = dominantPaletteIndex(weights);
+  if (duration <= 0) {
+    paletteState.weights = weights;
+    paletteState.to = null;
+    applyResolvedPalette(weights);
+    return;
+  }
+  paletteState.from = paletteState.weights.slice();
+  paletteState.to = weights;
+  paletteState.elapsed = 0;
+  paletteState.duration = duration;
+}
+
+function applyPalette(index, options) {
+  setPaletteBlend(paletteOptions.map((_, optionIndex) => (optionIndex === index ? 1 : 0)), options);
+}
+
+function updatePaletteTransition(delta) {
+  if (!paletteState.to) {
+    return;
+  }
+  paletteState.elapsed += delta;
+  const t = easeInOutCubic(Math.min(1, paletteState.elapsed / paletteState.duration));
+  paletteState.weights = paletteState.from.map((weight, index) => weight + (paletteState.to[index] - weight) * t);
+  applyResolvedPalette(paletteState.weights);
+  if (t >= 1) {
+    paletteState.to = null;
+  }
+}
+
+applyPalette(currentPaletteIndex, { duration: 0 });
 
 const cursor = new THREE.Vector2(0, 0);
 let cursorLerp = new THREE.Vector2(0, 0);
 let cursorMagnitude = 0;
 let timeAccumulator = 0;
+let motionTime = 0;
+let dialogueEnergy = 0;
+let dialogueFocus = 0;
+// beats only glitch the frame when strong, and no more often than the cooldown allows
+const BEAT_GLITCH_STRENGTH = 0.7;
+let beatGlitchCooldown = 0;
 let audioAnalyser = null;
 const simplex = new SimplexNoise();
 
@@ -389,7 +645,11 @@ async function switchAnimation(index) {
   const option = animationOptions[index];
   const requestId = ++animationRequestId;
   try {
-    await gvrmInstance.changeFBX(option.file);
+    if (avatarAnimator) {
+      await avatarAnimator.play(option.file, { blendSeconds: option.blend ?? ANIMATION_BLEND_SECONDS });
+    } else {
+      await gvrmInstance.changeFBX(option.file);
+    }
     if (requestId === animationRequestId) {
       currentAnimationIndex = index;
     }
@@ -412,39 +672,141 @@ function loadAudioBuffer(url) {
   return bufferPromise;
 }
 
-async function switchAudio(index) {
+function analyserForDeck(deck) {
+  if (!deckAnalysers.has(deck)) {
+    deckAnalysers.set(deck, new THREE.AudioAnalyser(deck, AUDIO_FFT_SIZE));
+  }
+  return deckAnalysers.get(deck);
+}
+
+audioTransport.onDeckChange((deck) => {
+  if (audioAnalyser !== microphone) {
+    audioAnalyser = analyserForDeck(deck);
+  }
+});
+
+function getAvatarVrm(avatar) {
+  return avatar?.character?.currentVrm ?? avatar?.vrm ?? null;
+}
+
+function findAvatarHead(avatar) {
+  return getAvatarVrm(avatar)?.humanoid?.getRawBoneNode('head') ?? avatar ?? null;
+}
+
+async function switchToMicrophone(index) {
+  const requestId = ++audioRequestId;
+  const enabled = await microphone.enable();
+  if (requestId !== audioRequestId) {
+    // another source was picked while consent or getUserMedia was pending
+    if (audioOptions[desiredAudioIndex]?.source !== 'microphone') {
+      microphone.disable();
+    }
+    return;
+  }
+  if (!enabled) {
+    fallbackFromMicrophone('Microphone unavailable — following the soundtrack instead.');
+    return;
+  }
+  audioTransport.pause({ user: false });
+  audioAnalyser = microphone;
+  audioFeatures.reset();
+  currentAudioIndex = index;
+  metaLayer.pushMessage('Listening to your voice. Nothing is recorded or sent anywhere.');
+}
+
+function fallbackFromMicrophone(message) {
+  microphone.disable();
+  if (audioAnalyser === microphone) {
+    audioAnalyser = null;
+  }
+  metaLayer.pushMessage(message);
+  const soundtrackIndex = audioOptions[currentAudioIndex]?.file ? currentAudioIndex : 0;
+  // without a loaded soundtrack the animate loop falls back to the sine pulse
+  switchAudio(soundtrackIndex);
+}
+
+// resolves to true once the requested source is audible
+async function switchAudio(index, { offset = 0 } = {}) {
   desiredAudioIndex = index;
   setActiveButton('audio', index);
   const option = audioOptions[index];
+  if (option.source === 'microphone') {
+    await switchToMicrophone(index);
+    return audioAnalyser === microphone;
+  }
+  microphone.disable();
+  if (audioAnalyser === microphone) {
+    audioAnalyser = null;
+  }
   const requestId = ++audioRequestId;
   try {
     const buffer = await loadAudioBuffer(option.file);
     if (requestId !== audioRequestId) {
-      return;
-    }
-    if (!audioState.audio) {
-      return;
-    }
-    if (audioState.audio.isPlaying) {
-      audioState.audio.stop();
+      return false;
     }
-    audioState.audio.setBuffer(buffer);
-    audioState.audio.setLoop(true);
-    audioState.audio.setVolume(option.volume ?? 0.6);
+    const deck = audioTransport.play(buffer, { volume: option.volume ?? 0.6, offset });
     await audioState.listener.context.resume();
-    audioState.audio.play();
-    audioAnalyser = new THREE.AudioAnalyser(audioState.audio, 64);
+    audioAnalyser = analyserForDeck(deck);
     currentAudioIndex = index;
+    return true;
   } catch (error) {
     console.warn('Audio load failed:', option.file, error);
+    return false;
+  }
+}
+
+function createAvatarAnimator(avatar) {
+  const vrm = avatar?.character?.currentVrm;
+  if (!avatar?.animator && !vrm) {
+    return null;
+  }
+  const animator = avatar.animator ?? new AvatarAnimator({ vrm, blendSeconds: ANIMATION_BLEND_SECONDS });
+  animator.onClipChange((url) => {
+    const index = animationOptions.findIndex((option) => option.file === url);
+    if (index < 0) {
+      return;
+    }
+    currentAnimationIndex = index;
+    desiredAnimationIndex = index;
+    setActiveButton('animation', index);
+  });
+  return animator;
+}
+
+function startAnimationPlaylist() {
+  if (!avatarAnimator || !playlistMode) {
+    return;
+  }
+  avatarAnimator.startPlaylist(animationOptions, {
+    mode: playlistMode,
+    startIndex: playlistMode === 'sequence' ? currentAnimationIndex + 1 : 0
+  });
+}
+
+function setPlaylistMode(mode) {
+  playlistMode = mode;
+  setActiveButton('playlist', playlistOptions.findIndex((option) => option.mode === mode));
+  if (mode) {
+    startAnimationPlaylist();
+  } else {
+    avatarAnimator?.stopPlaylist();
   }
 }
 
 function handleAnimationSelect(index) {
+  if (playlistMode) {
+    setPlaylistMode(null);
+  }
   switchAnimation(index);
 }
 
+function handlePlaylistToggle(index) {
+  const mode = playlistOptions[index].mode;
+  setPlaylistMode(playlistMode === mode ? null : mode);
+}
+
 function handleAudioSelect(index) {
+  timelinePlayer.detachAudio();
   switchAudio(index);
 }
 
@@ -453,12 +815,151 @@ function handlePaletteSelect(index) {
   applyPalette(index);
 }
 
+// cue values may name an option by label or by index
+function resolveOptionIndex(options, value) {
+  if (typeof value === 'number') {
+    return options[value] ? value : -1;
+  }
+  return options.findIndex((option) => option.label === value);
+}
+
+const timelinePlayer = new TimelinePlayer({
+  playEl: document.getElementById('timeline-play'),
+  seekEl: document.getElementById('timeline-seek'),
+  timeEl: document.getElementById('timeline-time'),
+  getAudioElapsed: () => audioTransport.elapsed,
+  handlers: {
+    palette(cue, { instant } = {}) {
+      const duration = instant ? 0 : cue.duration ?? PALETTE_TRANSITION_SECONDS;
+      if (cue.blend) {
+        setPaletteBlend(cue.blend, { duration });
+        setActiveButton('palette', currentPaletteIndex);
+        return;
+      }
+      const index = resolveOptionIndex(paletteOptions, cue.palette);
+      if (index >= 0) {
+        setActiveButton('palette', index);
+        applyPalette(index, { duration });
+      }
+    },
+    animation(cue) {
+      const index = resolveOptionIndex(animationOptions, cue.animation);
+      if (index < 0) {
+        return;
+      }
+      if (playlistMode) {
+        setPlaylistMode(null);
+      }
+      switchAnimation(index);
+    },
+    async audio(cue, { offset = 0 } = {}) {
+      const index = resolveOptionIndex(audioOptions, cue.audio);
+      if (index < 0) {
+        return false;
+      }
+      const started = await switchAudio(index, { offset: (cue.offset ?? 0) + offset });
+      // seeking while paused should line the track up without letting it run
+      if (started && !timelinePlayer.isPlaying) {
+        audioTransport.pause();
+      }
+      return started;
+    },
+    camera(cue, options) {
+      cameraDirector.moveTo(cue, options);
+    },
+    meta(cue) {
+      metaLayer.pushMessage(cue.text ?? '', { duration: cue.duration ?? 6 });
+    },
+    debrief() {
+      debriefing.open('timeline');
+    },
+    pause() {
+      audioTransport.pause();
+    },
+    resume() {
+      audioTransport.resume();
+    }
+  }
+});
+
+timelinePlayer.onStateChange((playing) => {
+  if (!playing && timelinePlayer.time >= timelinePlayer.duration) {
+    setActiveButton('timeline', -1);
+  }
+});
+
+async function handleTimelineSelect(index) {
+  const option = timelineOptions[index];
+  try {
+    const timeline = await loadTimeline(option.file);
+    timelinePlayer.load(timeline);
+    setActiveButton('timeline', index);
+    timelinePlayer.play();
+  } catch (error) {
+    console.warn('Timeline failed to load:', option.file, error);
+    metaLayer.pushMessage(`Timeline “${option.label}” could not be loaded.`);
+  }
+}
+
+let cameraPreviewEnabled = false;
+
+function syncCameraButtons() {
+  const current = cameraDirector.currentPath;
+  setActiveButton('camera', cameraOptions.findIndex((option) => option.name === current));
+  cameraModeOptions.forEach((option, index) => {
+    const pressed = option.key === 'attract' ? cameraDirector.attractEnabled : cameraPreviewEnabled;
+    setButtonPressed(buttonRegistry.cameraMode[index], pressed);
+  });
+  if (cameraPreviewEnabled && current && current !== cameraDirector.previewName) {
+    cameraDirector.setPreview(current);
+  }
+}
+
+function handleCameraSelect(index) {
+  const option = cameraOptions[index];
+  if (cameraDirector.currentPath === option.name && !cameraDirector.isAttracting) {
+    cameraDirector.release();
+    return;
+  }
+  cameraDirector.play(option.name);
+}
+
+function handleCameraModeToggle(index) {
+  const option = cameraModeOptions[index];
+  if (option.key === 'attract') {
+    cameraDirector.setAttractEnabled(!cameraDirector.attractEnabled);
+    return;
+  }
+  cameraPreviewEnabled = !cameraPreviewEnabled;
+  const previewName = cameraDirector.currentPath ?? cameraDirector.previewName ?? cameraOptions[0]?.name;
+  cameraDirector.setPreview(cameraPreviewEnabled ? previewName : null);
+  syncCameraButtons();
+}
+
+cameraDirector.onShotChange(() => syncCameraButtons());
+
+function handleEffectToggle(index) {
+  const option = effectOptions[index];
+  const enabled = postProcessing.toggle(option.key);
+  setButtonPressed(buttonRegistry.effect[index], enabled);
+}
+
 registerButtons(animationButtonsEl, animationOptions, 'animation', handleAnimationSelect);
+registerButtons(playlistButtonsEl, playlistOptions, 'playlist', handlePlaylistToggle);
 registerButtons(audioButtonsEl, audioOptions, 'audio', handleAudioSelect);
 registerButtons(paletteButtonsEl, paletteOptions, 'palette', handlePaletteSelect);
+registerButtons(effectButtonsEl, effectOptions, 'effect', handleEffectToggle);
+registerButtons(timelineButtonsEl, timelineOptions, 'timeline', handleTimelineSelect);
+registerButtons(cameraModeButtonsEl, cameraModeOptions, 'cameraMode', handleCameraModeToggle);
 setActiveButton('animation', desiredAnimationIndex);
+setActiveButton('playlist', -1);
 setActiveButton('audio', desiredAudioIndex);
 setActiveButton('palette', currentPaletteIndex);
+setActiveButton('timeline', -1);
+syncCameraButtons();
+buttonRegistry.effect.forEach((button, index) => {
+  setButtonPressed(button, postProcessing.isEnabled(effectOptions[index].key));
+});
 updateAnimationButtonState();
 updateMetaTag('Simulacra Interface — Loading Avatar');
 
@@ -472,6 +973,12 @@ window.addEventListener('pointermove', (event) => {
   const nx = (event.clientX / window.innerWidth) * 2 - 1;
   const ny = (event.clientY / window.innerHeight) * 2 - 1;
   cursor.set(nx, ny);
+  gazeController?.setPointer(nx, -ny);
+  cameraDirector.noteActivity();
+});
+
+['pointerdown', 'wheel', 'keydown'].forEach((type) => {
+  window.addEventListener(type, () => cameraDirector.noteActivity(), { passive: true });
 });
 
 window.addEventListener('resize', () => {
@@ -479,6 +986,11 @@ window.addEventListener('resize', () => {
   camera.aspect = w / h;
   camera.updateProjectionMatrix();
   renderer.setSize(w, h);
+  postProcessing.setSize(w, h);
+  metaLayer.resize();
+  if (dataEthicsPanel.isOpen) {
+    dataEthicsPanel.resizeCanvas();
+  }
 });
 
 class SimpleVRMWrapper extends THREE.Group {
@@ -486,9 +998,10 @@ class SimpleVRMWrapper extends THREE.Group {
     super();
     this.vrm = vrm;
     this.isReady = true;
-    this.supportsFBX = false;
+    this.supportsFBX = true;
     this.mode = 'simple-vrm';
-    this.mixer = null;
+    this.mixer = new THREE.AnimationMixer(vrm.scene);
+    this.animator = new AvatarAnimator({ vrm, mixer: this.mixer, blendSeconds: ANIMATION_BLEND_SECONDS });
     this.add(vrm.scene);
     vrm.scene.traverse((obj) => {
       obj.frustumCulled = false;
@@ -505,52 +1018,76 @@ class SimpleVRMWrapper extends THREE.Group {
     }
   }
 
-  async changeFBX() {
-    console.warn('FBX animation playback is not available in fallback VRM mode.');
+  // the mixer itself is advanced by the animator from the main loop
+  async changeFBX(url) {
+    await this.animator.play(url);
   }
 }
 
-async function loadSimpleVRMFromGvrm(url) {
-  const response = await fetch(url);
-  if (!response.ok) {
-    throw new Error(`Failed to retrieve fallback VRM from ${url}: ${response.status} ${response.statusText}`);
-  }
-  const arrayBuffer = await response.arrayBuffer();
+let avatarLoadController = null;
+
+const loadProgress = new LoadProgress({
+  el: document.getElementById('load-progress'),
+  onCancel: () => avatarLoadController?.abort()
+});
+
+const FALLBACK_LOAD_STAGES = { download: 0.75, unzip: 0.15, vrm: 0.1 };
+
+async function loadSimpleVRMFromGvrm(url, { onProgress, signal } = {}) {
+  const report = createProgressReporter(FALLBACK_LOAD_STAGES, onProgress);
+  const arrayBuffer = await fetchWithProgress(url, {
+    signal,
+    onProgress: ({ progress, loaded, total }) => report('download', progress, { loaded, total })
+  });
+  signal?.throwIfAborted();
+  report('unzip', 0);
   const zip = await JSZip.loadAsync(arrayBuffer);
   const vrmFile = zip.file('model.vrm');
   if (!vrmFile) {
     throw new Error('model.vrm was not found inside the GVRM archive.');
   }
-  const vrmBuffer = await vrmFile.async('arraybuffer');
+  const vrmBuffer = await vrmFile.async('arraybuffer', (meta) => report('unzip', meta.percent / 100));
+  signal?.throwIfAborted();
   const vrmBlob = new Blob([vrmBuffer], { type: 'application/octet-stream' });
   const vrmUrl = URL.createObjectURL(vrmBlob);
 
   try {
+    report('vrm', 0);
     const gltf = await fallbackGLTFLoader.loadAsync(vrmUrl);
     const vrm = gltf?.userData?.vrm;
     if (!vrm) {
       throw new Error('VRM payload missing from fallback data.');
     }
+    signal?.throwIfAborted();
+    report('vrm', 1);
     const wrapper = new SimpleVRMWrapper(vrm);
     scene.add(wrapper);
     wrapper.position.set(0, 0, 0);
     wrapper.scale.setScalar(1.0);
+    report('done', 1);
     return wrapper;
   } finally {
     URL.revokeObjectURL(vrmUrl);
   }
 }
 
-async function loadGvrmAvatar() {
+async function loadGvrmAvatar({ signal } = {}) {
   const candidates = [
     './assets/20251101-Masa.gvrm'
   ];
   let lastError;
   const GVRMClass = await ensureGvrmModule();
+  const onProgress = (event) => loadProgress.update(event);
   for (const candidate of candidates) {
+    let formatIssue = null;
     if (GVRMClass) {
       try {
-        const gvrm = await GVRMClass.load(candidate, scene, camera, renderer);
+        loadProgress.start('Gaussian VRM');
+        const gvrm = await GVRMClass.load(candidate, scene, camera, renderer, null, { onProgress, signal });
+        if (signal?.aborted) {
+          await GVRMClass.remove(gvrm, scene);
+          signal.throwIfAborted();
+        }
         gvrm.position.set(0, 0, 0);
         gvrm.scale.setScalar(1.0);
         gvrm.supportsFBX = true;
@@ -560,19 +1097,32 @@ async function loadGvrmAvatar() {
         updateMetaTag('Simulacra Interface — Gaussian VRM Mode');
         return gvrm;
       } catch (error) {
+        if (signal?.aborted) {
+          throw error;
+        }
         console.warn('Failed to load GVRM candidate', candidate, error);
+        // malformed archives carry per-field issues from gvrm-format's schema validator
+        formatIssue = error?.name === 'GVRMFormatError' ? error.issues[0] ?? { path: candidate, message: error.message } : null;
         lastError = error;
       }
     }
 
     try {
-      const fallback = await loadSimpleVRMFromGvrm(candidate);
-      avatarCapabilities = { supportsFBX: false, mode: 'simple-vrm' };
+      loadProgress.start('Standard VRM');
+      const fallback = await loadSimpleVRMFromGvrm(candidate, { onProgress, signal });
+      avatarCapabilities = { supportsFBX: fallback.supportsFBX, mode: 'simple-vrm' };
       updateAnimationButtonState();
-      updateMetaTag('Simulacra Interface — Standard VRM Mode');
+      updateMetaTag(
+        formatIssue ?
+          `Simulacra Interface — Standard VRM Mode (Gaussian data rejected: ${formatIssue.path} ${formatIssue.message})` :
+          'Simulacra Interface — Standard VRM Mode'
+      );
       console.info('Loaded fallback VRM avatar without Gaussian splatting:', candidate);
       return fallback;
     } catch (fallbackError) {
+      if (signal?.aborted) {
+        throw fallbackError;
+      }
       console.warn('Fallback VRM load failed for candidate', candidate, fallbackError);
       lastError = fallbackError;
     }
@@ -589,9 +1139,6 @@ async function setupAudio() {
   if (!audioState.listener.parent) {
     camera.add(audioState.listener);
   }
-  if (!audioState.audio) {
-    audioState.audio = new THREE.Audio(audioState.listener);
-  }
   await switchAudio(desiredAudioIndex);
 }
 
@@ -604,53 +1151,157 @@ function animate() {
   cursorLerp.lerp(cursor, 0.08);
   cursorMagnitude = THREE.MathUtils.lerp(cursorMagnitude, cursor.length(), 0.05);
 
+  const audio = audioFeatures.process(audioAnalyser ? audioAnalyser.getFrequencyData() : null, delta);
   const pulse =
     audioAnalyser ?
-      THREE.MathUtils.clamp(audioAnalyser.getAverageFrequency() / 128, 0.2, 1.8) :
+      THREE.MathUtils.clamp(audio.average * 2, 0.2, 1.8) :
       0.4 + Math.sin(timeAccumulator * 1.2) * 0.2;
 
+  moodState.hold = Math.max(0, moodState.hold - delta);
+  if (moodState.hold === 0) {
+    blendMood(moodState.target, moodState.neutral, delta * 0.15);
+  }
+  blendMood(moodState.current, moodState.target, delta * 0.8);
+  const mood = moodState.current;
+  const moodJitter = simplex.noise2D(timeAccumulator * 0.21, 7.3) * 0.08;
+
+  updatePaletteTransition(delta);
+  debriefing.update(delta);
+  const settle = debriefing.settle;
+  const motion = (1 - settle * 0.85) * (mood.speed + moodJitter);
+  motionTime += delta * motion;
+
+  const speaking = dialogue.state === 'speaking';
+  const thinking = dialogue.state === 'thinking';
+  dialogueEnergy = THREE.MathUtils.lerp(dialogueEnergy, speaking ? 1 : 0, Math.min(1, delta * 3));
+  dialogueFocus = THREE.MathUtils.lerp(dialogueFocus, thinking ? 1 : 0, Math.min(1, delta * 3));
+  postProcessing.glitchRate = (0.04 + dialogueFocus * 0.25) * mood.glitch;
+
   const drift = simplex.noise2D(timeAccumulator * 0.08, cursorLerp.x * 2.2) * 0.4;
 
   auroraGroup.rotation.y = drift * 0.3;
   auroraGroup.position.y = 0.2 + drift * 0.18;
+  const cursorTravel = flowCursor.distanceTo(cursorLerp);
+  flowCursor.copy(cursorLerp);
+  auroraFlow.seed.x += cursorTravel * 0.6;
+  auroraFlow.seed.y += delta * (0.02 + pulse * 0.05);
+  auroraFlow.seed.z += (pulse - 0.4) * delta * 0.08;
+  auroraFlow.speed = (0.3 + pulse * 0.2 + audio.mid * 0.2 + cursorMagnitude * 0.1) * motion;
+  auroraFlow.update(delta, motionTime);
+  auroraMaterial.uniforms.uPositions.value = auroraFlow.texture;
+
+  const tintStrength = THREE.MathUtils.clamp(mood.tintStrength * (1 + moodJitter * 2), 0, 1);
+  moodState.tint.setRGB(mood.tint[0], mood.tint[1], mood.tint[2], THREE.SRGBColorSpace);
+  auroraMaterial.uniforms.uColorA.value.copy(auroraBase.colorA).lerp(moodState.tint, tintStrength);
+  auroraMaterial.uniforms.uColorB.value.copy(auroraBase.colorB).lerp(moodState.tint, tintStrength * 0.7);
+  auroraMaterial.uniforms.uGlow.value = auroraBase.glow * (mood.glow + moodJitter * 0.5);
   auroraMaterial.uniforms.uCursor.value.copy(cursorLerp);
-  auroraMaterial.uniforms.uTime.value = timeAccumulator;
-  auroraMaterial.uniforms.uIntensity.value = 0.45 + pulse * 0.4;
-
-  halo.rotation.z += delta * 0.12;
-  halo.material.opacity = THREE.MathUtils.clamp(haloBaseOpacity * (0.7 + pulse * 0.6), 0.02, 0.6);
+  auroraMaterial.uniforms.uTime.value = motionTime;
+  auroraMaterial.uniforms.uSparkle.value = THREE.MathUtils.clamp(audio.treble * 2.2 + audio.brightness * 0.3, 0, 1.5) * (1 - settle);
+  auroraMaterial.uniforms.uIntensity.value = (0.45 + pulse * 0.4 + dialogueEnergy * 0.15) * (1 - settle * 0.5);
+
+  memoryField.setRates(
+    0.03 + (cursorLerp.x * 0.5 + 0.5) * 0.025,
+    0.058 + (cursorLerp.y * 0.5 + 0.5) * 0.005 + (pulse - 0.4) * 0.002
+  );
+  memoryField.setBrush(cursorLerp.x * 0.5 + 0.5, cursorLerp.y * -0.5 + 0.5, cursorMagnitude * 0.02);
+  memoryField.update(delta, motionTime);
+
+  halo.rotation.z += delta * (0.12 + dialogueFocus * 0.3) * motion;
+  halo.material.opacity = THREE.MathUtils.clamp(haloBaseOpacity * (0.6 + pulse * 0.35 + audio.bass * 1.1), 0.02, 0.6);
+  beatGlitchCooldown = Math.max(0, beatGlitchCooldown - delta);
+  if (audio.beat && audio.beatStrength > BEAT_GLITCH_STRENGTH && beatGlitchCooldown === 0 && settle < 0.5) {
+    postProcessing.triggerGlitch(0.3 + audio.beatStrength * 0.5, 0.06 + audio.beatStrength * 0.08);
+    // glitchRate is in glitches per second, so calmer moods also space beat glitches further apart
+    beatGlitchCooldown = THREE.MathUtils.clamp(0.12 / postProcessing.glitchRate, 1.5, 8);
+  }
 
+  avatarAnimator?.update(delta);
+  gazeController?.restore();
+  if (faceController) {
+    const lipSync = animationOptions[currentAnimationIndex]?.lipSync && audioAnalyser !== microphone;
+    faceController.setVoice(lipSync ? audio.envelope : 0, audio.brightness);
+    faceController.setMood(moodState.hold > 0 ? moodState.tone : null);
+    faceController.update(delta);
+  }
+  if (gazeController) {
+    gazeController.enabled = settle < 0.5;
+    gazeController.update(delta);
+  }
   if (gvrmInstance && typeof gvrmInstance.update === 'function') {
     gvrmInstance.update(delta);
 
-    const sway = Math.sin(timeAccumulator * 0.6) * 0.12;
+    const sway = Math.sin(motionTime * 0.6) * 0.12 * motion;
     if (gvrmInstance.rotation) {
-      gvrmInstance.rotation.y = sway + cursorLerp.x * 0.25;
+      gvrmInstance.rotation.y = sway + cursorLerp.x * (gazeController ? 0.08 : 0.25);
     }
   }
 
+  timelinePlayer.update(delta);
+  cameraDirector.attractAllowed = !timelinePlayer.isPlaying && !debriefing.isOpen;
+  cameraDirector.update(delta);
   controls.update();
   updateOverlay(cursorLerp.x, cursorLerp.y, pulse * 0.6 + cursorMagnitude * 0.3);
-  renderer.render(scene, camera);
+  metaLayer.update(delta, { cursor: cursorLerp, pulse });
+  audioTransport.update();
+  dataEthicsPanel.update(delta);
+  memoryExclusion.update(delta);
+  postProcessing.render(delta);
 }
 
 const clock = new THREE.Clock();
 
 async function init() {
+  dataEthicsPanel.load().then((config) => {
+    memoryExclusion.setCategories(config.categories ?? []);
+  }).catch((error) => {
+    console.warn('Data ethics panel failed to load:', error);
+  });
+  debriefing.load().catch((error) => {
+    console.warn('Debriefing config failed to load:', error);
+  });
+  dialogue.load().catch((error) => {
+    console.warn('Dialogue config failed to load, keeping the scripted backend:', error);
+  });
+  cameraDirector.load().then(() => {
+    cameraOptions = [...cameraDirector.paths.values()].map(({ name, label }) => ({ name, label }));
+    registerButtons(cameraButtonsEl, cameraOptions, 'camera', handleCameraSelect);
+    syncCameraButtons();
+  }).catch((error) => {
+    console.warn('Camera paths failed to load:', error);
+  });
+
   try {
     await setupAudio();
   } catch (error) {
     console.warn('Audio setup failed:', error);
   }
 
+  avatarLoadController = new AbortController();
   try {
-    gvrmInstance = await loadGvrmAvatar();
+    gvrmInstance = await loadGvrmAvatar({ signal: avatarLoadController.signal });
+    loadProgress.finish();
+    memoryExclusion.attach(gvrmInstance);
+    audioTransport.setAnchor(findAvatarHead(gvrmInstance));
+    avatarAnimator = createAvatarAnimator(gvrmInstance);
+    // the splats follow bones but not morph targets, so GVRM mode mirrors expressions onto jaw and head
+    faceController = getAvatarVrm(gvrmInstance) ?
+      new FaceController({ vrm: getAvatarVrm(gvrmInstance), boneMotion: gvrmInstance.mode === 'gvrm' }) :
+      null;
+    gazeController = getAvatarVrm(gvrmInstance) ? new GazeController({ vrm: getAvatarVrm(gvrmInstance), camera }) : null;
     await switchAnimation(desiredAnimationIndex);
+    startAnimationPlaylist();
   } catch (error) {
-    console.error(error);
+    const cancelled = avatarLoadController.signal.aborted;
+    if (!cancelled) {
+      console.error(error);
+    }
     avatarCapabilities = { supportsFBX: false, mode: 'error' };
     updateAnimationButtonState();
-    updateMetaTag('Simulacra Interface — Avatar Unavailable');
+    updateMetaTag(cancelled ? 'Simulacra Interface — Avatar Loading Cancelled' : 'Simulacra Interface — Avatar Unavailable');
+    loadProgress.fail(cancelled ? 'Loading cancelled' : 'Avatar unavailable');
+  } finally {
+    avatarLoadController = null;
   }
 
   renderer.setAnimationLoop(animate);
@@ -659,8 +1310,8 @@ async function init() {
 document.addEventListener('pointerdown', async () => {
   try {
     await audioState.listener.context.resume();
-    if (audioState.audio && !audioState.audio.isPlaying && audioState.audio.buffer) {
-      audioState.audio.play();
+    if (!microphone.isActive) {
+      audioTransport.resume({ user: false });
     }
   } catch (error) {
     console.warn('Audio unlock failed:', error);
@@ -0,0 +1,275 @@
+import * as THREE from 'three';
+
+const FADE_SPEED = 1.2;
+
+function dissolveThreshold(index) {
+  const x = Math.sin(index * 12.9898) * 43758.5453;
+  return x - Math.floor(x);
+}
+
+function collectBones(node, bones) {
+  if (!node) {
+    return;
+  }
+  if (node.isBone) {
+    bones.add(node);
+  }
+  node.children.forEach((child) => collectBones(child, bones));
+}
+
+export class MemoryExclusion {
+  constructor(categories = []) {
+    this.avatar = null;
+    this.states = new Map();
+    this.listeners = new Set();
+    this.splatTarget = null;
+    this.materialTarget = null;
+    this.isDirty = false;
+    this.setCategories(categories);
+  }
+
+  setCategories(categories) {
+    const previous = this.states;
+    this.states = new Map();
+    categories.forEach((category) => {
+      const existing = previous.get(category.id);
+      this.states.set(category.id, {
+        category,
+        excluded: existing?.excluded ?? false,
+        visibility: existing?.visibility ?? 1
+      });
+    });
+    if (this.avatar) {
+      this.attach(this.avatar);
+    }
+  }
+
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  isExcluded(id) {
+    return Boolean(this.states.get(id)?.excluded);
+  }
+
+  setExcluded(id, excluded) {
+    const state = this.states.get(id);
+    if (!state || state.excluded === excluded) {
+      return;
+    }
+    state.excluded = excluded;
+    this.isDirty = true;
+    this.listeners.forEach((listener) => listener(id, excluded));
+  }
+
+  attach(avatar) {
+    this.restore();
+    this.avatar = avatar ?? null;
+    this.splatTarget = null;
+    this.materialTarget = null;
+    if (!avatar) {
+      return;
+    }
+    if (avatar.gs && avatar.boneSceneMap && avatar.character?.currentVrm) {
+      this.splatTarget = this.buildSplatTarget(avatar);
+    } else if (avatar.vrm) {
+      this.materialTarget = this.buildMaterialTarget(avatar.vrm);
+    }
+    this.isDirty = true;
+  }
+
+  buildSplatTarget(gvrm) {
+    const { character, gs, boneSceneMap } = gvrm;
+    const vrm = character.currentVrm;
+    const skinnedMesh = vrm.scene.children[character.skinnedMeshIndex];
+    const skeletonBones = skinnedMesh?.skeleton?.bones ?? [];
+    const splatCount = gs.splatCount;
+
+    const baseAlpha = new Uint8Array(splatCount);
+    const thresholds = new Float32Array(splatCount);
+    const splatScenes = new Int32Array(splatCount);
+    for (let i = 0; i < splatCount; i += 1) {
+      baseAlpha[i] = gs.colors[i * 4 + 3];
+      thresholds[i] = dissolveThreshold(i);
+      splatScenes[i] = boneSceneMap[gs.splatBoneIndices[i]] ?? -1;
+    }
+
+    const categoryScenes = new Map();
+    this.states.forEach((state, id) => {
+      const bones = new Set();
+      (state.category.avatar?.bones ?? []).forEach((boneName) => {
+        collectBones(vrm.humanoid?.getRawBoneNode(boneName), bones);
+      });
+      const scenes = new Set();
+      bones.forEach((bone) => {
+        const sceneIndex = boneSceneMap[skeletonBones.indexOf(bone)];
+        if (sceneIndex !== undefined) {
+          scenes.add(sceneIndex);
+        }
+      });
+      categoryScenes.set(id, scenes);
+    });
+
+    // sortSplatsByBones stores each scene's splats contiguously, so a scene's
+    // splats are exactly the [start, end] range between its first and last one
+    const sceneCount = Object.keys(boneSceneMap).length;
+    const sceneRanges = Array.from({ length: sceneCount }, () => ({ start: -1, end: -1 }));
+    for (let i = 0; i < splatCount; i += 1) {
+      const range = sceneRanges[splatScenes[i]];
+      if (!range) {
+        continue;
+      }
+      if (range.start < 0) {
+        range.start = i;
+      }
+      range.end = i;
+    }
+
+    return {
+      gs,
+      baseAlpha,
+      thresholds,
+      categoryScenes,
+      sceneRanges,
+      sceneVisibility: new Float32Array(sceneCount).fill(1),
+      nextVisibility: new Float32Array(sceneCount)
+    };
+  }
+
+  buildMaterialTarget(vrm) {
+    const entries = new Map();
+    this.states.forEach((state, id) => {
+      const patterns = (state.category.avatar?.materials ?? []).map((pattern) => pattern.toLowerCase());
+      const materials = new Set();
+      if (patterns.length) {
+        vrm.scene.traverse((obj) => {
+          if (!obj.isMesh) {
+            return;
+          }
+          const meshName = obj.name.toLowerCase();
+          const list = Array.isArray(obj.material) ? obj.material : [obj.material];
+          list.forEach((material) => {
+            const materialName = (material?.name ?? '').toLowerCase();
+            if (patterns.some((pattern) => materialName.includes(pattern) || meshName.includes(pattern))) {
+              materials.add(material);
+            }
+          });
+        });
+      }
+      entries.set(id, materials);
+    });
+
+    const base = new Map();
+    entries.forEach((materials) => {
+      materials.forEach((material) => {
+        if (!base.has(material)) {
+          base.set(material, {
+            opacity: material.opacity ?? 1,
+            transparent: material.transparent,
+            visible: material.visible
+          });
+        }
+      });
+    });
+    return { entries, base };
+  }
+
+  update(delta) {
+    let animating = false;
+    this.states.forEach((state) => {
+      const target = state.excluded ? 0 : 1;
+      if (state.visibility !== target) {
+        const step = delta * FADE_SPEED;
+        state.visibility = target > state.visibility ?
+          Math.min(target, state.visibility + step) :
+          Math.max(target, state.visibility - step);
+        animating = true;
+      }
+    });
+    if (!animating && !this.isDirty) {
+      return;
+    }
+    this.isDirty = false;
+    if (this.splatTarget) {
+      this.applySplats();
+    }
+    if (this.materialTarget) {
+      this.applyMaterials();
+    }
+  }
+
+  applySplats() {
+    const { gs, baseAlpha, thresholds, categoryScenes, sceneRanges, sceneVisibility, nextVisibility } = this.splatTarget;
+    nextVisibility.fill(1);
+    categoryScenes.forEach((scenes, id) => {
+      const visibility = this.states.get(id)?.visibility ?? 1;
+      scenes.forEach((sceneIndex) => {
+        nextVisibility[sceneIndex] = Math.min(nextVisibility[sceneIndex], visibility);
+      });
+    });
+
+    // only scenes whose visibility moved this frame are rewritten and re-uploaded
+    sceneRanges.forEach(({ start, end }, sceneIndex) => {
+      const visibility = nextVisibility[sceneIndex];
+      if (start < 0 || visibility === sceneVisibility[sceneIndex]) {
+        return;
+      }
+      sceneVisibility[sceneIndex] = visibility;
+      for (let i = start; i <= end; i += 1) {
+        const threshold = thresholds[i];
+        const dissolve = THREE.MathUtils.smoothstep(visibility * 1.2, threshold, threshold + 0.2);
+        gs.colors[i * 4 + 3] = Math.round(baseAlpha[i] * dissolve);
+      }
+      gs.splatMesh.updateDataTexturesFromBaseData(start, end);
+    });
+  }
+
+  applyMaterials() {
+    const { entries, base } = this.materialTarget;
+    const visibilityByMaterial = new Map();
+    entries.forEach((materials, id) => {
+      const visibility = this.states.get(id)?.visibility ?? 1;
+      materials.forEach((material) => {
+        visibilityByMaterial.set(material, Math.min(visibilityByMaterial.get(material) ?? 1, visibility));
+      });
+    });
+
+    visibilityByMaterial.forEach((visibility, material) => {
+      const original = base.get(material);
+      const transparent = original.transparent || visibility < 1;
+      if (material.transparent !== transparent) {
+        material.transparent = transparent;
+        material.needsUpdate = true;
+      }
+      material.opacity = original.opacity * visibility;
+      if (material.uniforms?.opacity) {
+        material.uniforms.opacity.value = material.opacity;
+      }
+      material.visible = original.visible && visibility > 0.01;
+    });
+  }
+
+  restore() {
+    if (this.splatTarget) {
+      const { gs, baseAlpha } = this.splatTarget;
+      for (let i = 0; i < gs.splatCount; i += 1) {
+        gs.colors[i * 4 + 3] = baseAlpha[i];
+      }
+      gs.splatMesh.updateDataTexturesFromBaseData(0, gs.splatCount - 1);
+    }
+    if (this.materialTarget) {
+      this.materialTarget.base.forEach((original, material) => {
+        material.opacity = original.opacity;
+        if (material.uniforms?.opacity) {
+          material.uniforms.opacity.value = original.opacity;
+        }
+        material.visible = original.visible;
+        if (material.transparent !== original.transparent) {
+          material.transparent = original.transparent;
+          material.needsUpdate = true;
+        }
+      });
+    }
+  }
+}
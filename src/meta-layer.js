@@ -0,0 +1,231 @@
+const AI_DISCLOSURE = 'I am an AI assistant';
+
+export class MetaLayer {
+  constructor({ gridCanvas, panelEl, statusEl, gridSpacing = 48 } = {}) {
+    this.gridCanvas = gridCanvas ?? null;
+    this.gridContext = gridCanvas?.getContext('2d') ?? null;
+    this.panelEl = panelEl ?? null;
+    this.panelBodyEl = panelEl?.querySelector('.ai-panel-body') ?? null;
+    this.panelLabelEl = panelEl?.querySelector('.ai-panel-label') ?? null;
+    this.statusEl = statusEl ?? null;
+    this.gridSpacing = gridSpacing;
+    this.queue = [];
+    this.activeMessage = null;
+    this.messageTimer = null;
+    this.nextMessageId = 1;
+    this.isVisible = false;
+    this.visibilityFrame = null;
+    this.hideFallback = null;
+    this.time = 0;
+    this.frame = 0;
+    this.pixelRatio = 1;
+
+    if (this.panelLabelEl) {
+      this.panelLabelEl.textContent = AI_DISCLOSURE;
+    }
+    this.resize();
+  }
+
+  setStatus(message) {
+    if (this.statusEl) {
+      this.statusEl.textContent = message;
+    }
+  }
+
+  pushMessage(text, { duration = 6, persist = false } = {}) {
+    const message = {
+      id: this.nextMessageId++,
+      text: String(text ?? ''),
+      duration,
+      persist
+    };
+    this.queue.push(message);
+    if (!this.activeMessage) {
+      this.showNext();
+    }
+    return {
+      id: message.id,
+      update: (nextText) => this.updateMessage(message, String(nextText ?? '')),
+      append: (chunk) => this.updateMessage(message, message.text + String(chunk ?? '')),
+      release: (releaseDuration = duration) => this.releaseMessage(message, releaseDuration),
+      dismiss: () => this.dismissMessage(message)
+    };
+  }
+
+  updateMessage(message, text) {
+    message.text = text;
+    if (message === this.activeMessage && this.panelBodyEl) {
+      this.panelBodyEl.textContent = text;
+    }
+  }
+
+  releaseMessage(message, duration) {
+    message.persist = false;
+    message.duration = duration;
+    if (message === this.activeMessage) {
+      this.scheduleAdvance(message);
+    }
+  }
+
+  dismissMessage(message) {
+    if (message === this.activeMessage) {
+      this.advance();
+    } else {
+      this.queue = this.queue.filter((entry) => entry !== message);
+    }
+  }
+
+  clear() {
+    this.queue = [];
+    this.activeMessage = null;
+    window.clearTimeout(this.messageTimer);
+    this.hide();
+  }
+
+  showNext() {
+    const message = this.queue.shift();
+    if (!message) {
+      this.activeMessage = null;
+      this.hide();
+      return;
+    }
+    this.activeMessage = message;
+    if (this.panelBodyEl) {
+      this.panelBodyEl.textContent = message.text;
+    }
+    this.show();
+    this.scheduleAdvance(message);
+  }
+
+  scheduleAdvance(message) {
+    window.clearTimeout(this.messageTimer);
+    if (message.persist) {
+      return;
+    }
+    this.messageTimer = window.setTimeout(() => {
+      if (this.activeMessage === message) {
+        this.advance();
+      }
+    }, Math.max(0, message.duration) * 1000);
+  }
+
+  advance() {
+    window.clearTimeout(this.messageTimer);
+    this.activeMessage = null;
+    this.showNext();
+  }
+
+  // The panel fades via a transition on .is-visible, so `hidden` is lifted a
+  // frame before the class goes on and restored only once the fade-out ends.
+  show() {
+    if (!this.panelEl || this.isVisible) {
+      return;
+    }
+    this.isVisible = true;
+    this.cancelPendingVisibility();
+    this.panelEl.hidden = false;
+    this.visibilityFrame = window.requestAnimationFrame(() => {
+      this.visibilityFrame = null;
+      this.panelEl.classList.add('is-visible');
+    });
+  }
+
+  hide() {
+    if (!this.panelEl || !this.isVisible) {
+      return;
+    }
+    this.isVisible = false;
+    this.cancelPendingVisibility();
+    this.panelEl.classList.remove('is-visible');
+    const finish = () => {
+      this.cancelPendingVisibility();
+      this.panelEl.hidden = true;
+    };
+    const onTransitionEnd = (event) => {
+      if (event.target === this.panelEl) {
+        finish();
+      }
+    };
+    this.panelEl.addEventListener('transitionend', onTransitionEnd);
+    // transitionend never fires when nothing was animating (or motion is reduced)
+    this.hideFallback = { onTransitionEnd, timer: window.setTimeout(finish, 400) };
+  }
+
+  cancelPendingVisibility() {
+    if (this.visibilityFrame !== null) {
+      window.cancelAnimationFrame(this.visibilityFrame);
+      this.visibilityFrame = null;
+    }
+    if (this.hideFallback) {
+      window.clearTimeout(this.hideFallback.timer);
+      this.panelEl.removeEventListener('transitionend', this.hideFallback.onTransitionEnd);
+      this.hideFallback = null;
+    }
+  }
+
+  resize() {
+    if (!this.gridCanvas) {
+      return;
+    }
+    this.pixelRatio = Math.min(window.devicePixelRatio || 1, 1.5);
+    this.gridCanvas.width = Math.round(window.innerWidth * this.pixelRatio);
+    this.gridCanvas.height = Math.round(window.innerHeight * this.pixelRatio);
+  }
+
+  update(delta, { cursor, pulse = 0 } = {}) {
+    this.time += delta;
+    this.frame += 1;
+    const ctx = this.gridContext;
+    if (!ctx) {
+      return;
+    }
+
+    const width = this.gridCanvas.width;
+    const height = this.gridCanvas.height;
+    const spacing = this.gridSpacing * this.pixelRatio;
+    const offset = (this.time * 6 * this.pixelRatio) % spacing;
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.lineWidth = this.pixelRatio;
+
+    for (let x = -offset, column = 0; x < width; x += spacing, column += 1) {
+      ctx.strokeStyle = column % 4 === 0 ? 'rgba(150, 200, 255, 0.16)' : 'rgba(150, 200, 255, 0.07)';
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, height);
+      ctx.stroke();
+    }
+    for (let y = 0, row = 0; y < height; y += spacing, row += 1) {
+      ctx.strokeStyle = row % 4 === 0 ? 'rgba(150, 200, 255, 0.16)' : 'rgba(150, 200, 255, 0.07)';
+      ctx.beginPath();
+      ctx.moveTo(0, y);
+      ctx.lineTo(width, y);
+      ctx.stroke();
+    }
+
+    const scanY = ((this.time * 0.08) % 1) * height;
+    ctx.fillStyle = `rgba(160, 210, 255, ${(0.05 + pulse * 0.04).toFixed(3)})`;
+    ctx.fillRect(0, scanY, width, 2 * this.pixelRatio);
+
+    if (cursor) {
+      const cx = (cursor.x * 0.5 + 0.5) * width;
+      const cy = (cursor.y * 0.5 + 0.5) * height;
+      const arm = spacing * 0.35;
+      ctx.strokeStyle = 'rgba(190, 225, 255, 0.35)';
+      ctx.beginPath();
+      ctx.moveTo(cx - arm, cy);
+      ctx.lineTo(cx + arm, cy);
+      ctx.moveTo(cx, cy - arm);
+      ctx.lineTo(cx, cy + arm);
+      ctx.stroke();
+
+      ctx.fillStyle = 'rgba(190, 225, 255, 0.45)';
+      ctx.font = `${10 * this.pixelRatio}px "Inter", "Helvetica Neue", Arial, sans-serif`;
+      ctx.fillText(
+        `SIM ${cursor.x.toFixed(2)} / ${(-cursor.y).toFixed(2)}  FRAME ${this.frame}`,
+        cx + arm + 6 * this.pixelRatio,
+        cy - 6 * this.pixelRatio
+      );
+    }
+  }
+}
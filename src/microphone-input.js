@@ -0,0 +1,146 @@
+// Visitor voice as an audio source. Exposes the same read side as
+// THREE.AudioAnalyser so the pulse pipeline does not care where sound comes from.
+export class MicrophoneInput {
+  constructor({ context, consentEl, fftSize = 64, gain = 1.6, onEnded } = {}) {
+    this.context = context;
+    this.consentEl = consentEl ?? null;
+    this.onEnded = onEnded ?? null;
+    this.fftSize = fftSize;
+    this.gain = gain;
+    this.stream = null;
+    this.source = null;
+    this.gainNode = null;
+    this.analyser = null;
+    this.data = null;
+    this.consented = false;
+    this.pendingConsent = null;
+    this.finishConsent = null;
+  }
+
+  get isActive() {
+    return Boolean(this.stream);
+  }
+
+  get isSupported() {
+    return Boolean(navigator.mediaDevices?.getUserMedia);
+  }
+
+  askConsent() {
+    if (this.consented) {
+      return Promise.resolve(true);
+    }
+    if (!this.consentEl) {
+      return Promise.resolve(window.confirm('Allow the corridor to listen to your microphone? Audio is analysed locally and never recorded.'));
+    }
+    if (this.pendingConsent) {
+      return this.pendingConsent;
+    }
+    const modal = this.consentEl;
+    this.pendingConsent = new Promise((resolve) => {
+      const accept = modal.querySelector('[data-consent-accept]');
+      const decline = modal.querySelector('[data-consent-decline]');
+      const finish = (granted) => {
+        accept?.removeEventListener('click', onAccept);
+        decline?.removeEventListener('click', onDecline);
+        window.removeEventListener('keydown', onKeydown);
+        modal.classList.remove('is-visible');
+        modal.hidden = true;
+        this.pendingConsent = null;
+        this.finishConsent = null;
+        resolve(granted);
+      };
+      this.finishConsent = finish;
+      const onAccept = () => finish(true);
+      const onDecline = () => finish(false);
+      const onKeydown = (event) => {
+        if (event.key === 'Escape') {
+          finish(false);
+        }
+      };
+      accept?.addEventListener('click', onAccept);
+      decline?.addEventListener('click', onDecline);
+      window.addEventListener('keydown', onKeydown);
+      modal.hidden = false;
+      modal.classList.add('is-visible');
+      accept?.focus();
+    });
+    return this.pendingConsent;
+  }
+
+  // closes an open consent prompt as if the visitor had declined it
+  cancelConsent() {
+    this.finishConsent?.(false);
+  }
+
+  // resolves to true when the mic is live, false when consent or access was refused
+  async enable() {
+    if (this.isActive) {
+      return true;
+    }
+    if (!this.isSupported) {
+      console.warn('Microphone input is not supported in this browser.');
+      return false;
+    }
+    const granted = await this.askConsent();
+    if (!granted) {
+      return false;
+    }
+    this.consented = true;
+    try {
+      this.stream = await navigator.mediaDevices.getUserMedia({
+        audio: { echoCancellation: true, noiseSuppression: true, autoGainControl: true }
+      });
+    } catch (error) {
+      console.warn('Microphone access was denied:', error);
+      this.stream = null;
+      return false;
+    }
+    await this.context.resume();
+    this.source = this.context.createMediaStreamSource(this.stream);
+    this.gainNode = this.context.createGain();
+    this.gainNode.gain.value = this.gain;
+    this.analyser = this.context.createAnalyser();
+    this.analyser.fftSize = this.fftSize;
+    this.data = new Uint8Array(this.analyser.frequencyBinCount);
+    // analysis only: never routed to the destination, so there is no feedback loop
+    this.source.connect(this.gainNode);
+    this.gainNode.connect(this.analyser);
+    this.stream.getAudioTracks().forEach((track) => {
+      track.addEventListener('ended', () => {
+        this.disable();
+        this.onEnded?.();
+      });
+    });
+    return true;
+  }
+
+  disable() {
+    this.cancelConsent();
+    this.stream?.getTracks().forEach((track) => track.stop());
+    this.source?.disconnect();
+    this.gainNode?.disconnect();
+    this.stream = null;
+    this.source = null;
+    this.gainNode = null;
+    this.analyser = null;
+  }
+
+  getFrequencyData() {
+    if (this.analyser) {
+      this.analyser.getByteFrequencyData(this.data);
+    }
+    return this.data;
+  }
+
+  getAverageFrequency() {
+    const data = this.getFrequencyData();
+    if (!data || !this.analyser) {
+      return 0;
+    }
+    let value = 0;
+    for (let i = 0; i < data.length; i++) {
+      value += data[i];
+    }
+    return value / data.length;
+  }
+}
@@ -0,0 +1,128 @@
+import * as THREE from 'three';
+import { FBXLoader } from 'three/addons/loaders/FBXLoader.js';
+
+// Adapted from the @pixiv/three-vrm humanoidAnimation example (MIT).
+export const mixamoVRMRigMap = {
+  mixamorigHips: 'hips',
+  mixamorigSpine: 'spine',
+  mixamorigSpine1: 'chest',
+  mixamorigSpine2: 'upperChest',
+  mixamorigNeck: 'neck',
+  mixamorigHead: 'head',
+  mixamorigLeftShoulder: 'leftShoulder',
+  mixamorigLeftArm: 'leftUpperArm',
+  mixamorigLeftForeArm: 'leftLowerArm',
+  mixamorigLeftHand: 'leftHand',
+  mixamorigLeftHandThumb1: 'leftThumbMetacarpal',
+  mixamorigLeftHandThumb2: 'leftThumbProximal',
+  mixamorigLeftHandThumb3: 'leftThumbDistal',
+  mixamorigLeftHandIndex1: 'leftIndexProximal',
+  mixamorigLeftHandIndex2: 'leftIndexIntermediate',
+  mixamorigLeftHandIndex3: 'leftIndexDistal',
+  mixamorigLeftHandMiddle1: 'leftMiddleProximal',
+  mixamorigLeftHandMiddle2: 'leftMiddleIntermediate',
+  mixamorigLeftHandMiddle3: 'leftMiddleDistal',
+  mixamorigLeftHandRing1: 'leftRingProximal',
+  mixamorigLeftHandRing2: 'leftRingIntermediate',
+  mixamorigLeftHandRing3: 'leftRingDistal',
+  mixamorigLeftHandPinky1: 'leftLittleProximal',
+  mixamorigLeftHandPinky2: 'leftLittleIntermediate',
+  mixamorigLeftHandPinky3: 'leftLittleDistal',
+  mixamorigRightShoulder: 'rightShoulder',
+  mixamorigRightArm: 'rightUpperArm',
+  mixamorigRightForeArm: 'rightLowerArm',
+  mixamorigRightHand: 'rightHand',
+  mixamorigRightHandPinky1: 'rightLittleProximal',
+  mixamorigRightHandPinky2: 'rightLittleIntermediate',
+  mixamorigRightHandPinky3: 'rightLittleDistal',
+  mixamorigRightHandRing1: 'rightRingProximal',
+  mixamorigRightHandRing2: 'rightRingIntermediate',
+  mixamorigRightHandRing3: 'rightRingDistal',
+  mixamorigRightHandMiddle1: 'rightMiddleProximal',
+  mixamorigRightHandMiddle2: 'rightMiddleIntermediate',
+  mixamorigRightHandMiddle3: 'rightMiddleDistal',
+  mixamorigRightHandIndex1: 'rightIndexProximal',
+  mixamorigRightHandIndex2: 'rightIndexIntermediate',
+  mixamorigRightHandIndex3: 'rightIndexDistal',
+  mixamorigRightHandThumb1: 'rightThumbMetacarpal',
+  mixamorigRightHandThumb2: 'rightThumbProximal',
+  mixamorigRightHandThumb3: 'rightThumbDistal',
+  mixamorigLeftUpLeg: 'leftUpperLeg',
+  mixamorigLeftLeg: 'leftLowerLeg',
+  mixamorigLeftFoot: 'leftFoot',
+  mixamorigLeftToeBase: 'leftToes',
+  mixamorigRightUpLeg: 'rightUpperLeg',
+  mixamorigRightLeg: 'rightLowerLeg',
+  mixamorigRightFoot: 'rightFoot',
+  mixamorigRightToeBase: 'rightToes'
+};
+
+const fbxLoader = new FBXLoader();
+const assetCache = new Map();
+
+function loadMixamoAsset(url) {
+  if (!assetCache.has(url)) {
+    const promise = fbxLoader.loadAsync(url).catch((error) => {
+      assetCache.delete(url);
+      throw error;
+    });
+    assetCache.set(url, promise);
+  }
+  return assetCache.get(url);
+}
+
+// Builds a clip for the VRM's normalized humanoid bones from a Mixamo FBX.
+// The source asset is cached and left untouched, so it can be retargeted onto
+// several avatars.
+export async function loadMixamoAnimation(url, vrm) {
+  const asset = await loadMixamoAsset(url);
+  const clip = THREE.AnimationClip.findByName(asset.animations, 'mixamo.com') ?? asset.animations[0];
+  if (!clip) {
+    throw new Error(`No animation found in ${url}`);
+  }
+
+  const tracks = [];
+  const restRotationInverse = new THREE.Quaternion();
+  const parentRestWorldRotation = new THREE.Quaternion();
+  const quat = new THREE.Quaternion();
+  const vec = new THREE.Vector3();
+  const isVRM0 = vrm.meta?.metaVersion === '0';
+
+  const motionHipsHeight = asset.getObjectByName('mixamorigHips')?.position.y ?? 1;
+  const vrmHipsY = vrm.humanoid?.getNormalizedBoneNode('hips')?.getWorldPosition(vec).y ?? 0;
+  const vrmRootY = vrm.scene.getWorldPosition(vec).y;
+  const hipsPositionScale = Math.abs(vrmHipsY - vrmRootY) / motionHipsHeight;
+
+  clip.tracks.forEach((track) => {
+    const [mixamoRigName, propertyName] = track.name.split('.');
+    const vrmBoneName = mixamoVRMRigMap[mixamoRigName];
+    const vrmNodeName = vrm.humanoid?.getNormalizedBoneNode(vrmBoneName)?.name;
+    const mixamoRigNode = asset.getObjectByName(mixamoRigName);
+    if (vrmNodeName == null || !mixamoRigNode) {
+      return;
+    }
+
+    mixamoRigNode.getWorldQuaternion(restRotationInverse).invert();
+    mixamoRigNode.parent.getWorldQuaternion(parentRestWorldRotation);
+
+    if (track instanceof THREE.QuaternionKeyframeTrack) {
+      const values = new Float32Array(track.values.length);
+      for (let i = 0; i < track.values.length; i += 4) {
+        quat.fromArray(track.values, i);
+        quat.premultiply(parentRestWorldRotation).multiply(restRotationInverse);
+        quat.toArray(values, i);
+      }
+      if (isVRM0) {
+        for (let i = 0; i < values.length; i += 2) {
+          values[i] = -values[i];
+        }
+      }
+      tracks.push(new THREE.QuaternionKeyframeTrack(`${vrmNodeName}.${propertyName}`, track.times, values));
+    } else if (track instanceof THREE.VectorKeyframeTrack) {
+      const values = track.values.map((value, i) => (isVRM0 && i % 3 !== 1 ? -value : value) * hipsPositionScale);
+      tracks.push(new THREE.VectorKeyframeTrack(`${vrmNodeName}.${propertyName}`, track.times, values));
+    }
+  });
+
+  return new THREE.AnimationClip('vrmAnimation', clip.duration, tracks);
+}
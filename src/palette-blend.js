@@ -0,0 +1,142 @@
+// Weighted palette mixing. Colors are averaged in OKLab so that blends and
+// transitions stay perceptually even instead of dipping through muddy greys.
+
+function srgbToLinear(channel) {
+  return channel <= 0.04045 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+}
+
+function linearToSrgb(channel) {
+  const value = channel <= 0.0031308 ? channel * 12.92 : 1.055 * Math.pow(channel, 1 / 2.4) - 0.055;
+  return Math.min(1, Math.max(0, value));
+}
+
+export function rgbToOklab([r, g, b]) {
+  const lr = srgbToLinear(r);
+  const lg = srgbToLinear(g);
+  const lb = srgbToLinear(b);
+  const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+  const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+  const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+  return [
+    0.2104542553 * l + 0.793617785 * m - 0.0040720468 * s,
+    1.9779984951 * l - 2.428592205 * m + 0.4505937099 * s,
+    0.0259040371 * l + 0.7827717662 * m - 0.808675766 * s
+  ];
+}
+
+export function oklabToRgb([L, a, b]) {
+  const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+  const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+  const s = Math.pow(L - 0.0894841775 * a - 1.291485548 * b, 3);
+  return [
+    linearToSrgb(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s),
+    linearToSrgb(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s),
+    linearToSrgb(-0.0041960863 * l - 0.7034186147 * m + 1.707614701 * s)
+  ];
+}
+
+export function parseColor(value) {
+  const text = String(value).trim();
+  if (text.startsWith('#')) {
+    let hex = text.slice(1);
+    if (hex.length === 3) {
+      hex = hex.split('').map((char) => char + char).join('');
+    }
+    const int = parseInt(hex, 16);
+    return { rgb: [((int >> 16) & 255) / 255, ((int >> 8) & 255) / 255, (int & 255) / 255], alpha: 1 };
+  }
+  const match = text.match(/^rgba?\(([^)]+)\)$/i);
+  if (match) {
+    const parts = match[1].split(',').map((part) => parseFloat(part));
+    return { rgb: [parts[0] / 255, parts[1] / 255, parts[2] / 255], alpha: parts[3] ?? 1 };
+  }
+  return null;
+}
+
+function toHex(rgb) {
+  return `#${rgb.map((channel) => Math.round(channel * 255).toString(16).padStart(2, '0')).join('')}`;
+}
+
+function isColorString(value) {
+  return typeof value === 'string' && (value.startsWith('#') || /^rgba?\(/i.test(value));
+}
+
+export function mixColors(values, weights) {
+  const lab = [0, 0, 0];
+  let alpha = 0;
+  let hasAlpha = false;
+  values.forEach((value, index) => {
+    const weight = weights[index];
+    const parsed = parseColor(value);
+    if (!weight || !parsed) {
+      return;
+    }
+    const color = rgbToOklab(parsed.rgb);
+    lab[0] += color[0] * weight;
+    lab[1] += color[1] * weight;
+    lab[2] += color[2] * weight;
+    alpha += parsed.alpha * weight;
+    hasAlpha = hasAlpha || !String(value).startsWith('#');
+  });
+  const rgb = oklabToRgb(lab);
+  if (!hasAlpha) {
+    return toHex(rgb);
+  }
+  const [r, g, b] = rgb.map((channel) => Math.round(channel * 255));
+  return `rgba(${r}, ${g}, ${b}, ${Number(alpha.toFixed(3))})`;
+}
+
+export function normalizeWeights(weights) {
+  const clamped = weights.map((weight) => Math.max(0, Number(weight) || 0));
+  const total = clamped.reduce((sum, weight) => sum + weight, 0);
+  if (total <= 0) {
+    return clamped.map((weight, index) => (index === 0 ? 1 : 0));
+  }
+  return clamped.map((weight) => weight / total);
+}
+
+function blendValues(values, weights) {
+  const sample = values.find((value) => value !== undefined && value !== null);
+  if (typeof sample === 'number') {
+    return values.reduce((sum, value, index) => sum + (value ?? sample) * weights[index], 0);
+  }
+  if (isColorString(sample)) {
+    return mixColors(values.map((value) => value ?? sample), weights);
+  }
+  if (Array.isArray(sample)) {
+    return sample.map((_, itemIndex) => blendValues(values.map((value) => value?.[itemIndex]), weights));
+  }
+  if (sample && typeof sample === 'object') {
+    return blendObjects(values, weights);
+  }
+  // gradients and other opaque strings cannot be mixed; keep the dominant one
+  let dominant = 0;
+  weights.forEach((weight, index) => {
+    if (weight > weights[dominant]) {
+      dominant = index;
+    }
+  });
+  return values[dominant] ?? sample;
+}
+
+function blendObjects(objects, weights) {
+  const keys = new Set();
+  objects.forEach((object) => Object.keys(object ?? {}).forEach((key) => keys.add(key)));
+  const result = {};
+  keys.forEach((key) => {
+    result[key] = blendValues(objects.map((object) => object?.[key]), weights);
+  });
+  return result;
+}
+
+export function blendPalettes(palettes, weights) {
+  const normalized = normalizeWeights(weights);
+  return {
+    colors: blendObjects(palettes.map((palette) => palette.colors), normalized),
+    post: blendObjects(palettes.map((palette) => palette.post ?? {}), normalized)
+  };
+}
+
+export function easeInOutCubic(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
@@ -0,0 +1,178 @@
+import * as THREE from 'three';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { AfterimagePass } from 'three/addons/postprocessing/AfterimagePass.js';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { HorizontalBlurShader } from 'three/addons/shaders/HorizontalBlurShader.js';
+import { VerticalBlurShader } from 'three/addons/shaders/VerticalBlurShader.js';
+
+const GlitchShader = {
+  uniforms: {
+    tDiffuse: { value: null },
+    uAmount: { value: 0 },
+    uSeed: { value: 0 },
+    uTime: { value: 0 }
+  },
+  vertexShader: /* glsl */`
+    varying vec2 vUv;
+
+    void main() {
+      vUv = uv;
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+  `,
+  fragmentShader: /* glsl */`
+    uniform sampler2D tDiffuse;
+    uniform float uAmount;
+    uniform float uSeed;
+    uniform float uTime;
+    varying vec2 vUv;
+
+    float hash(float n) {
+      return fract(sin(n) * 43758.5453);
+    }
+
+    void main() {
+      vec2 uv = vUv;
+      float band = floor(uv.y * 24.0 + uSeed * 7.0);
+      float active = step(1.0 - uAmount * 0.6, hash(band + uSeed));
+      uv.x += (hash(band * 1.7 + uSeed) - 0.5) * 0.08 * uAmount * active;
+
+      float split = 0.006 * uAmount;
+      vec4 base = texture2D(tDiffuse, uv);
+      float r = texture2D(tDiffuse, uv + vec2(split, 0.0)).r;
+      float b = texture2D(tDiffuse, uv - vec2(split, 0.0)).b;
+      float scan = hash(floor(uv.y * 240.0) + uTime) * 0.06 * uAmount;
+
+      gl_FragColor = vec4(vec3(r, base.g, b) + scan, base.a);
+    }
+  `
+};
+
+export const defaultPostSettings = {
+  afterimage: 0.86,
+  blur: 0.6,
+  bloom: 0.7,
+  glitch: 0.6
+};
+
+export class PostProcessingPipeline {
+  constructor(renderer, scene, camera) {
+    this.renderer = renderer;
+    this.composer = new EffectComposer(renderer);
+    this.settings = { ...defaultPostSettings };
+    this.glitchRate = 0.04;
+    this.glitchTimer = 0;
+    this.glitchDuration = 0;
+    this.glitchIntensity = 0;
+    this.time = 0;
+
+    const size = renderer.getSize(new THREE.Vector2());
+
+    this.renderPass = new RenderPass(scene, camera);
+    this.afterimagePass = new AfterimagePass(this.settings.afterimage);
+    this.bloomPass = new UnrealBloomPass(size.clone(), this.settings.bloom, 0.55, 0.18);
+    this.blurHorizontalPass = new ShaderPass(HorizontalBlurShader);
+    this.blurVerticalPass = new ShaderPass(VerticalBlurShader);
+    this.glitchPass = new ShaderPass(GlitchShader);
+    this.glitchPass.enabled = false;
+    this.outputPass = new OutputPass();
+
+    this.composer.addPass(this.renderPass);
+    this.composer.addPass(this.afterimagePass);
+    this.composer.addPass(this.bloomPass);
+    this.composer.addPass(this.blurHorizontalPass);
+    this.composer.addPass(this.blurVerticalPass);
+    this.composer.addPass(this.glitchPass);
+    this.composer.addPass(this.outputPass);
+
+    this.passes = {
+      afterimage: [this.afterimagePass],
+      blur: [this.blurHorizontalPass, this.blurVerticalPass],
+      bloom: [this.bloomPass],
+      glitch: [this.glitchPass]
+    };
+    this.enabled = {
+      afterimage: true,
+      blur: true,
+      bloom: true,
+      glitch: true
+    };
+
+    this.setSize(size.x, size.y);
+  }
+
+  isEnabled(name) {
+    return Boolean(this.enabled[name]);
+  }
+
+  setEnabled(name, enabled) {
+    if (!(name in this.enabled)) {
+      return;
+    }
+    this.enabled[name] = enabled;
+    if (name === 'glitch') {
+      this.glitchPass.enabled = enabled && this.glitchTimer > 0;
+      return;
+    }
+    this.passes[name].forEach((pass) => {
+      pass.enabled = enabled;
+    });
+  }
+
+  toggle(name) {
+    this.setEnabled(name, !this.isEnabled(name));
+    return this.isEnabled(name);
+  }
+
+  setStrengths(settings = {}) {
+    this.settings = { ...defaultPostSettings, ...settings };
+    this.afterimagePass.uniforms.damp.value = THREE.MathUtils.clamp(this.settings.afterimage, 0, 0.98);
+    this.bloomPass.strength = this.settings.bloom;
+    this.updateBlur();
+  }
+
+  updateBlur() {
+    const size = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+    this.blurHorizontalPass.uniforms.h.value = this.settings.blur / Math.max(size.x, 1);
+    this.blurVerticalPass.uniforms.v.value = this.settings.blur / Math.max(size.y, 1);
+  }
+
+  triggerGlitch(intensity = 1, duration = 0.08 + Math.random() * 0.18) {
+    this.glitchTimer = Math.max(this.glitchTimer, duration);
+    this.glitchDuration = Math.max(this.glitchDuration, duration);
+    this.glitchIntensity = THREE.MathUtils.clamp(intensity, 0, 1.5);
+    this.glitchPass.uniforms.uSeed.value = Math.random() * 100;
+  }
+
+  updateGlitch(delta) {
+    if (this.glitchTimer <= 0 && Math.random() < this.glitchRate * delta) {
+      this.triggerGlitch(0.5 + Math.random() * 0.5);
+    }
+    if (this.glitchTimer > 0) {
+      this.glitchTimer = Math.max(0, this.glitchTimer - delta);
+      const envelope = this.glitchDuration > 0 ? this.glitchTimer / this.glitchDuration : 0;
+      this.glitchPass.uniforms.uAmount.value = this.settings.glitch * this.glitchIntensity * envelope;
+      this.glitchPass.uniforms.uTime.value = this.time;
+      if (Math.random() < 0.3) {
+        this.glitchPass.uniforms.uSeed.value = Math.random() * 100;
+      }
+    } else {
+      this.glitchDuration = 0;
+    }
+    this.glitchPass.enabled = this.enabled.glitch && this.glitchTimer > 0;
+  }
+
+  setSize(width, height) {
+    this.composer.setSize(width, height);
+    this.updateBlur();
+  }
+
+  render(delta) {
+    this.time += delta;
+    this.updateGlitch(delta);
+    this.composer.render(delta);
+  }
+}
@@ -0,0 +1,232 @@
+import * as THREE from 'three';
+
+const quadVertexShader = /* glsl */`
+  varying vec2 vUv;
+
+  void main() {
+    vUv = uv;
+    gl_Position = vec4(position.xy, 0.0, 1.0);
+  }
+`;
+
+const seedFragmentShader = /* glsl */`
+  uniform float uSeed;
+  varying vec2 vUv;
+
+  float hash(vec2 p) {
+    return fract(sin(dot(p, vec2(127.1, 311.7)) + uSeed * 43.17) * 43758.5453);
+  }
+
+  void main() {
+    vec2 cell = floor(vUv * 24.0);
+    vec2 local = fract(vUv * 24.0) - 0.5;
+    float spot = step(0.82, hash(cell)) * step(length(local), 0.32);
+    gl_FragColor = vec4(1.0, spot, 0.0, 1.0);
+  }
+`;
+
+// Gray-Scott step on a toroidal grid; R holds chemical A, G holds chemical B.
+const simulationFragmentShader = /* glsl */`
+  uniform sampler2D uState;
+  uniform vec2 uTexel;
+  uniform float uFeed;
+  uniform float uKill;
+  uniform float uDiffuseA;
+  uniform float uDiffuseB;
+  uniform vec3 uBrush;
+  varying vec2 vUv;
+
+  void main() {
+    vec2 state = texture2D(uState, vUv).rg;
+    vec2 laplacian = -state;
+    laplacian += 0.2 * texture2D(uState, vUv + vec2(uTexel.x, 0.0)).rg;
+    laplacian += 0.2 * texture2D(uState, vUv - vec2(uTexel.x, 0.0)).rg;
+    laplacian += 0.2 * texture2D(uState, vUv + vec2(0.0, uTexel.y)).rg;
+    laplacian += 0.2 * texture2D(uState, vUv - vec2(0.0, uTexel.y)).rg;
+    laplacian += 0.05 * texture2D(uState, vUv + uTexel).rg;
+    laplacian += 0.05 * texture2D(uState, vUv - uTexel).rg;
+    laplacian += 0.05 * texture2D(uState, vUv + vec2(uTexel.x, -uTexel.y)).rg;
+    laplacian += 0.05 * texture2D(uState, vUv + vec2(-uTexel.x, uTexel.y)).rg;
+
+    float a = state.r;
+    float b = state.g;
+    float reaction = a * b * b;
+    float nextA = a + uDiffuseA * laplacian.r - reaction + uFeed * (1.0 - a);
+    float nextB = b + uDiffuseB * laplacian.g + reaction - (uKill + uFeed) * b;
+
+    if (uBrush.z > 0.0) {
+      float brush = smoothstep(uBrush.z, 0.0, distance(vUv, uBrush.xy));
+      nextB = max(nextB, brush * 0.6);
+    }
+
+    gl_FragColor = vec4(clamp(nextA, 0.0, 1.0), clamp(nextB, 0.0, 1.0), 0.0, 1.0);
+  }
+`;
+
+const displayVertexShader = /* glsl */`
+  varying vec2 vUv;
+
+  void main() {
+    vUv = uv;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+
+const displayFragmentShader = /* glsl */`
+  uniform sampler2D uState;
+  uniform vec3 uRamp[4];
+  uniform float uOpacity;
+  uniform float uTime;
+  varying vec2 vUv;
+
+  vec3 ramp(float t) {
+    t = clamp(t, 0.0, 1.0) * 3.0;
+    if (t < 1.0) return mix(uRamp[0], uRamp[1], t);
+    if (t < 2.0) return mix(uRamp[1], uRamp[2], t - 1.0);
+    return mix(uRamp[2], uRamp[3], t - 2.0);
+  }
+
+  void main() {
+    vec2 state = texture2D(uState, vUv).rg;
+    float pattern = smoothstep(0.08, 0.38, state.g);
+    float edge = smoothstep(0.2, 0.5, state.g) - smoothstep(0.5, 0.8, state.g);
+    float shimmer = 0.85 + 0.15 * sin(uTime * 0.7 + vUv.y * 12.0);
+    vec2 centered = vUv * 2.0 - 1.0;
+    float vignette = smoothstep(1.0, 0.35, length(centered * vec2(0.9, 1.1)));
+
+    vec3 color = ramp(pattern + edge * 0.25) * shimmer;
+    float alpha = (pattern * 0.85 + edge * 0.4) * vignette * uOpacity;
+    gl_FragColor = vec4(color * alpha, alpha);
+  }
+`;
+
+export class ReactionDiffusionLayer extends THREE.Group {
+  constructor(renderer, { size = 256, width = 9, height = 5.2, stepsPerFrame = 8 } = {}) {
+    super();
+    this.renderer = renderer;
+    this.size = size;
+    this.stepsPerFrame = stepsPerFrame;
+    this.feed = 0.037;
+    this.kill = 0.06;
+
+    const targetOptions = {
+      type: THREE.HalfFloatType,
+      format: THREE.RGBAFormat,
+      minFilter: THREE.LinearFilter,
+      magFilter: THREE.LinearFilter,
+      wrapS: THREE.RepeatWrapping,
+      wrapT: THREE.RepeatWrapping,
+      depthBuffer: false
+    };
+    this.targets = [
+      new THREE.WebGLRenderTarget(size, size, targetOptions),
+      new THREE.WebGLRenderTarget(size, size, targetOptions)
+    ];
+    this.readIndex = 0;
+
+    this.quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+    this.quadScene = new THREE.Scene();
+    this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2));
+    this.quad.frustumCulled = false;
+    this.quadScene.add(this.quad);
+
+    this.seedMaterial = new THREE.ShaderMaterial({
+      uniforms: { uSeed: { value: Math.random() * 100 } },
+      vertexShader: quadVertexShader,
+      fragmentShader: seedFragmentShader
+    });
+
+    this.simulationMaterial = new THREE.ShaderMaterial({
+      uniforms: {
+        uState: { value: null },
+        uTexel: { value: new THREE.Vector2(1 / size, 1 / size) },
+        uFeed: { value: this.feed },
+        uKill: { value: this.kill },
+        uDiffuseA: { value: 1.0 },
+        uDiffuseB: { value: 0.5 },
+        uBrush: { value: new THREE.Vector3(0.5, 0.5, 0) }
+      },
+      vertexShader: quadVertexShader,
+      fragmentShader: simulationFragmentShader
+    });
+
+    this.displayMaterial = new THREE.ShaderMaterial({
+      transparent: true,
+      depthWrite: false,
+      blending: THREE.AdditiveBlending,
+      uniforms: {
+        uState: { value: null },
+        uRamp: { value: [new THREE.Color(), new THREE.Color(), new THREE.Color(), new THREE.Color()] },
+        uOpacity: { value: 0.55 },
+        uTime: { value: 0 }
+      },
+      vertexShader: displayVertexShader,
+      fragmentShader: displayFragmentShader
+    });
+
+    this.backdrop = new THREE.Mesh(new THREE.PlaneGeometry(width, height), this.displayMaterial);
+    this.backdrop.renderOrder = -1;
+    this.add(this.backdrop);
+
+    this.seed();
+  }
+
+  get texture() {
+    return this.targets[this.readIndex].texture;
+  }
+
+  seed() {
+    this.seedMaterial.uniforms.uSeed.value = Math.random() * 100;
+    this.renderPass(this.seedMaterial, this.targets[this.readIndex]);
+  }
+
+  setRamp(stops) {
+    const ramp = this.displayMaterial.uniforms.uRamp.value;
+    ramp.forEach((color, index) => {
+      color.set(stops[Math.min(index, stops.length - 1)]);
+    });
+  }
+
+  setRates(feed, kill) {
+    this.feed = THREE.MathUtils.clamp(feed, 0.01, 0.1);
+    this.kill = THREE.MathUtils.clamp(kill, 0.04, 0.075);
+  }
+
+  setBrush(x, y, radius) {
+    this.simulationMaterial.uniforms.uBrush.value.set(x, y, radius);
+  }
+
+  update(delta, time) {
+    const uniforms = this.simulationMaterial.uniforms;
+    uniforms.uFeed.value = THREE.MathUtils.lerp(uniforms.uFeed.value, this.feed, Math.min(1, delta * 2));
+    uniforms.uKill.value = THREE.MathUtils.lerp(uniforms.uKill.value, this.kill, Math.min(1, delta * 2));
+
+    for (let i = 0; i < this.stepsPerFrame; i += 1) {
+      const read = this.targets[this.readIndex];
+      const write = this.targets[1 - this.readIndex];
+      uniforms.uState.value = read.texture;
+      this.renderPass(this.simulationMaterial, write);
+      this.readIndex = 1 - this.readIndex;
+    }
+
+    this.displayMaterial.uniforms.uState.value = this.texture;
+    this.displayMaterial.uniforms.uTime.value = time;
+  }
+
+  renderPass(material, target) {
+    const previousTarget = this.renderer.getRenderTarget();
+    this.quad.material = material;
+    this.renderer.setRenderTarget(target);
+    this.renderer.render(this.quadScene, this.quadCamera);
+    this.renderer.setRenderTarget(previousTarget);
+  }
+
+  dispose() {
+    this.targets.forEach((target) => target.dispose());
+    this.quad.geometry.dispose();
+    this.backdrop.geometry.dispose();
+    this.seedMaterial.dispose();
+    this.simulationMaterial.dispose();
+    this.displayMaterial.dispose();
+  }
+}
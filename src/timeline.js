@@ -0,0 +1,259 @@
+export const CUE_TYPES = ['palette', 'animation', 'audio', 'camera', 'meta', 'debrief'];
+
+// cue types that describe scene state; on seek the latest one of each is re-applied
+const STATEFUL_CUES = ['palette', 'animation', 'audio', 'camera'];
+
+function formatTime(seconds) {
+  const total = Math.max(0, Math.floor(seconds));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+export function parseTimeline(data, source = 'timeline') {
+  if (!data || !Array.isArray(data.cues)) {
+    throw new Error(`${source} has no cues array.`);
+  }
+  const cues = data.cues.map((cue, index) => {
+    const time = Number(cue.time);
+    if (!Number.isFinite(time) || time < 0) {
+      throw new Error(`${source} cue ${index} has an invalid time: ${cue.time}`);
+    }
+    if (!CUE_TYPES.includes(cue.type)) {
+      throw new Error(`${source} cue ${index} has an unknown type: ${cue.type}`);
+    }
+    return { ...cue, time, index };
+  });
+  // stable sort so cues sharing a timestamp fire in file order
+  cues.sort((a, b) => a.time - b.time || a.index - b.index);
+  const lastCue = cues.length ? cues[cues.length - 1].time : 0;
+  return {
+    title: data.title ?? '',
+    duration: Math.max(Number(data.duration) || 0, lastCue),
+    loop: Boolean(data.loop),
+    cues
+  };
+}
+
+export async function loadTimeline(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load timeline from ${url}: ${response.status} ${response.statusText}`);
+  }
+  return parseTimeline(await response.json(), url);
+}
+
+// Plays a parsed timeline by handing each cue to handlers[cue.type]. Once an
+// audio cue has started its track, timeline time follows the soundtrack via
+// getAudioElapsed() so cues stay locked to the music through pauses.
+export class TimelinePlayer {
+  constructor({ handlers = {}, getAudioElapsed, playEl, seekEl, timeEl, titleEl } = {}) {
+    this.handlers = handlers;
+    this.getAudioElapsed = getAudioElapsed ?? null;
+    this.playEl = playEl ?? null;
+    this.seekEl = seekEl ?? null;
+    this.timeEl = timeEl ?? null;
+    this.titleEl = titleEl ?? null;
+    this.timeline = null;
+    this.time = 0;
+    this.isPlaying = false;
+    this.started = false;
+    this.audioAnchor = null;
+    this.audioToken = 0;
+    this.isScrubbing = false;
+    this.stateListeners = new Set();
+
+    this.playEl?.addEventListener('click', () => this.toggle());
+    this.seekEl?.addEventListener('input', () => {
+      this.isScrubbing = true;
+      this.renderTime(Number(this.seekEl.value));
+    });
+    this.seekEl?.addEventListener('change', () => {
+      this.isScrubbing = false;
+      this.seek(Number(this.seekEl.value));
+    });
+    this.render();
+  }
+
+  get duration() {
+    return this.timeline?.duration ?? 0;
+  }
+
+  onStateChange(listener) {
+    this.stateListeners.add(listener);
+    return () => this.stateListeners.delete(listener);
+  }
+
+  load(timeline) {
+    this.stop();
+    this.timeline = timeline;
+    if (this.seekEl) {
+      this.seekEl.max = String(timeline.duration);
+    }
+    this.render();
+  }
+
+  play() {
+    if (!this.timeline || this.isPlaying) {
+      return;
+    }
+    this.isPlaying = true;
+    if (!this.started || this.time >= this.duration) {
+      this.started = true;
+      this.time = 0;
+      this.fireBetween(-Infinity, 0);
+    } else {
+      this.handlers.resume?.();
+    }
+    this.notify();
+  }
+
+  pause() {
+    if (!this.isPlaying) {
+      return;
+    }
+    this.isPlaying = false;
+    this.handlers.pause?.();
+    this.notify();
+  }
+
+  toggle() {
+    if (this.isPlaying) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+
+  stop() {
+    this.isPlaying = false;
+    this.started = false;
+    this.time = 0;
+    this.detachAudio();
+    this.notify();
+  }
+
+  // stop following the soundtrack, e.g. after the visitor picks another track
+  detachAudio() {
+    this.audioAnchor = null;
+    this.audioToken += 1;
+  }
+
+  seek(time) {
+    if (!this.timeline) {
+      return;
+    }
+    const target = Math.min(Math.max(0, time), this.duration);
+    this.detachAudio();
+    this.time = target;
+    this.started = true;
+    STATEFUL_CUES.forEach((type) => {
+      const cue = this.lastCueBefore(type, target);
+      if (cue) {
+        this.fire(cue, { instant: true, offset: target - cue.time });
+      }
+    });
+    this.render();
+  }
+
+  lastCueBefore(type, time) {
+    let found = null;
+    for (const cue of this.timeline.cues) {
+      if (cue.time > time) {
+        break;
+      }
+      if (cue.type === type) {
+        found = cue;
+      }
+    }
+    return found;
+  }
+
+  fire(cue, options = {}) {
+    const handler = this.handlers[cue.type];
+    if (!handler) {
+      return;
+    }
+    try {
+      const result = handler(cue, options);
+      if (cue.type === 'audio' && this.getAudioElapsed) {
+        const token = ++this.audioToken;
+        this.audioAnchor = null;
+        Promise.resolve(result).then((started) => {
+          if (started !== false && token === this.audioToken) {
+            this.audioAnchor = cue.time;
+          }
+        });
+      }
+    } catch (error) {
+      console.warn('Timeline cue failed:', cue, error);
+    }
+  }
+
+  fireBetween(from, to) {
+    for (const cue of this.timeline.cues) {
+      if (cue.time > to) {
+        break;
+      }
+      if (cue.time > from) {
+        this.fire(cue);
+      }
+    }
+  }
+
+  update(delta) {
+    if (!this.isPlaying || !this.timeline) {
+      return;
+    }
+    let next = this.time + delta;
+    if (this.audioAnchor !== null) {
+      next = this.audioAnchor + this.getAudioElapsed();
+    }
+    next = Math.max(this.time, next);
+    this.fireBetween(this.time, next);
+    this.time = next;
+
+    if (this.time >= this.duration) {
+      if (this.timeline.loop) {
+        this.detachAudio();
+        this.time = 0;
+        this.fireBetween(-Infinity, 0);
+      } else {
+        this.isPlaying = false;
+        this.time = this.duration;
+        this.notify();
+      }
+    }
+    this.renderTime(this.time);
+  }
+
+  notify() {
+    this.render();
+    this.stateListeners.forEach((listener) => listener(this.isPlaying, this));
+  }
+
+  render() {
+    if (this.playEl) {
+      this.playEl.disabled = !this.timeline;
+      this.playEl.textContent = this.isPlaying ? 'Pause' : 'Play';
+      this.playEl.setAttribute('aria-pressed', this.isPlaying ? 'true' : 'false');
+    }
+    if (this.seekEl) {
+      this.seekEl.disabled = !this.timeline;
+    }
+    if (this.titleEl) {
+      this.titleEl.textContent = this.timeline?.title ?? '';
+    }
+    this.renderTime(this.time);
+  }
+
+  renderTime(time) {
+    if (this.seekEl && !this.isScrubbing) {
+      this.seekEl.value = String(time);
+    }
+    if (this.timeEl) {
+      const text = `${formatTime(time)} / ${formatTime(this.duration)}`;
+      if (this.timeEl.textContent !== text) {
+        this.timeEl.textContent = text;
+      }
+    }
+  }
+}
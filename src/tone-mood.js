@@ -0,0 +1,184 @@
+// Offline tone scoring for AI replies and the table that turns tone into a
+// visual mood. Kept free of three.js and the DOM so it can run under Node.
+
+export const toneLexicon = {
+  subjective: [
+    'feel', 'feeling', 'felt', 'believe', 'hope', 'wish', 'heart', 'love', 'miss', 'dear',
+    'beautiful', 'wonderful', 'terrible', 'afraid', 'warm', 'glad', 'sorry', 'sad', 'happy',
+    'lonely', 'grief', 'meaningful', 'precious', 'always', 'never', 'truly', 'deeply'
+  ],
+  objective: [
+    'data', 'model', 'algorithm', 'recorded', 'simulation', 'fragments', 'approximate',
+    'information', 'panel', 'trained', 'training', 'stored', 'anonymised', 'anonymized',
+    'material', 'pattern', 'patterns', 'reconstruction', 'reconstructions', 'system',
+    'process', 'exhibition', 'measure', 'percent', 'consent'
+  ],
+  firstPerson: ['i', 'me', 'my', 'mine', 'myself'],
+  valence: {
+    love: 2.4, loved: 2.2, glad: 2.0, happy: 2.2, warm: 1.6, thank: 1.8, thanks: 1.8,
+    beautiful: 2.2, wonderful: 2.4, hope: 1.4, meaningful: 1.6, precious: 1.8, kind: 1.4,
+    gentle: 1.0, gently: 1.0, joy: 2.4, smile: 1.6, laugh: 1.8, comfort: 1.4, peace: 1.4,
+    sad: -2.0, heavy: -1.2, loss: -2.0, lost: -1.4, grief: -2.2, miss: -1.0, missing: -1.0,
+    afraid: -1.8, fear: -1.8, lonely: -2.0, hurt: -2.0, pain: -2.2, angry: -2.2, cry: -1.6,
+    sorry: -0.8, terrible: -2.6, illness: -1.6, conflict: -1.4, cannot: -0.4
+  },
+  intensifiers: {
+    very: 1.4, so: 1.25, deeply: 1.6, truly: 1.4, really: 1.3, extremely: 1.7, incredibly: 1.6
+  },
+  negations: ['not', 'no', 'never', 'cannot', "can't", "don't", "isn't", "wasn't", 'without']
+};
+
+export const moodTable = {
+  neutral: { tint: '#7c9cff', tintStrength: 0, glow: 1, speed: 1, glitch: 1 },
+  power: 2,
+  anchors: [
+    {
+      name: 'objective',
+      subjectivity: 0,
+      valence: 0,
+      mood: { tint: '#3fd0c8', tintStrength: 0.45, glow: 0.88, speed: 0.72, glitch: 0.6 }
+    },
+    {
+      name: 'reflective',
+      subjectivity: 0.5,
+      valence: 0,
+      mood: { tint: '#7c9cff', tintStrength: 0.15, glow: 1, speed: 1, glitch: 1 }
+    },
+    {
+      name: 'warm',
+      subjectivity: 1,
+      valence: 1,
+      mood: { tint: '#ffb06b', tintStrength: 0.5, glow: 1.25, speed: 1.3, glitch: 1.15 }
+    },
+    {
+      name: 'troubled',
+      subjectivity: 1,
+      valence: -1,
+      mood: { tint: '#ff6a88', tintStrength: 0.42, glow: 1.15, speed: 1.2, glitch: 1.6 }
+    }
+  ]
+};
+
+export function tokenize(text) {
+  return String(text ?? '').toLowerCase().match(/[a-z']+|[!?]/g) ?? [];
+}
+
+function clamp01(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+export function analyzeTone(text, lexicon = toneLexicon) {
+  const tokens = tokenize(text);
+  const words = tokens.filter((token) => token !== '!' && token !== '?');
+  const subjective = new Set(lexicon.subjective);
+  const objective = new Set(lexicon.objective);
+  const firstPerson = new Set(lexicon.firstPerson);
+  const negations = new Set(lexicon.negations);
+
+  let subjectiveHits = 0;
+  let objectiveHits = 0;
+  let firstPersonHits = 0;
+  let sentiment = 0;
+  let emotionalHits = 0;
+  let intensity = 0;
+
+  words.forEach((word, index) => {
+    if (subjective.has(word)) {
+      subjectiveHits += 1;
+    }
+    if (objective.has(word)) {
+      objectiveHits += 1;
+    }
+    if (firstPerson.has(word)) {
+      firstPersonHits += 1;
+    }
+    const score = lexicon.valence[word];
+    if (score === undefined) {
+      return;
+    }
+    let weighted = score;
+    const previous = words[index - 1];
+    const beforePrevious = words[index - 2];
+    if (previous && lexicon.intensifiers[previous]) {
+      weighted *= lexicon.intensifiers[previous];
+      intensity += 1;
+    }
+    if (negations.has(previous) || negations.has(beforePrevious)) {
+      weighted *= -0.6;
+    }
+    sentiment += weighted;
+    emotionalHits += 1;
+  });
+
+  const exclamations = tokens.filter((token) => token === '!').length;
+  sentiment += Math.sign(sentiment) * Math.min(exclamations, 3) * 0.3;
+
+  const opinionWeight = subjectiveHits + emotionalHits * 0.5 + firstPersonHits * 0.25 + exclamations * 0.5;
+  const subjectivity = opinionWeight + objectiveHits > 0 ?
+    opinionWeight / (opinionWeight + objectiveHits * 1.2) :
+    0.5;
+  const valence = sentiment / Math.sqrt(sentiment * sentiment + 15);
+  const density = words.length ? emotionalHits / words.length : 0;
+  const arousal = clamp01(Math.abs(valence) * 0.6 + density * 2 + intensity * 0.1 + exclamations * 0.12);
+
+  return {
+    subjectivity: clamp01(subjectivity),
+    valence: Math.max(-1, Math.min(1, valence)),
+    arousal,
+    wordCount: words.length
+  };
+}
+
+export function hexToRgb(hex) {
+  const value = parseInt(String(hex).replace('#', ''), 16);
+  return [((value >> 16) & 255) / 255, ((value >> 8) & 255) / 255, (value & 255) / 255];
+}
+
+export function mapToneToMood(tone, table = moodTable) {
+  const weights = table.anchors.map((anchor) => {
+    const ds = tone.subjectivity - anchor.subjectivity;
+    const dv = tone.valence - anchor.valence;
+    const distance = Math.sqrt(ds * ds + dv * dv);
+    return distance < 1e-4 ? 1e4 : 1 / Math.pow(distance, table.power ?? 2);
+  });
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+  const mood = { tint: [0, 0, 0], tintStrength: 0, glow: 0, speed: 0, glitch: 0 };
+  table.anchors.forEach((anchor, index) => {
+    const weight = weights[index] / total;
+    const tint = hexToRgb(anchor.mood.tint);
+    mood.tint[0] += tint[0] * weight;
+    mood.tint[1] += tint[1] * weight;
+    mood.tint[2] += tint[2] * weight;
+    mood.tintStrength += anchor.mood.tintStrength * weight;
+    mood.glow += anchor.mood.glow * weight;
+    mood.speed += anchor.mood.speed * weight;
+    mood.glitch += anchor.mood.glitch * weight;
+  });
+
+  // livelier replies push speed and glitch a little further than the table alone
+  const arousal = tone.arousal ?? 0;
+  mood.speed *= 1 + arousal * 0.15;
+  mood.glitch *= 1 + arousal * 0.2;
+  return mood;
+}
+
+export function neutralMood(table = moodTable) {
+  return {
+    tint: hexToRgb(table.neutral.tint),
+    tintStrength: table.neutral.tintStrength,
+    glow: table.neutral.glow,
+    speed: table.neutral.speed,
+    glitch: table.neutral.glitch
+  };
+}
+
+export function blendMood(from, to, t, target = from) {
+  const amount = clamp01(t);
+  target.tint = from.tint.map((channel, index) => channel + (to.tint[index] - channel) * amount);
+  target.tintStrength = from.tintStrength + (to.tintStrength - from.tintStrength) * amount;
+  target.glow = from.glow + (to.glow - from.glow) * amount;
+  target.speed = from.speed + (to.speed - from.speed) * amount;
+  target.glitch = from.glitch + (to.glitch - from.glitch) * amount;
+  return target;
+}
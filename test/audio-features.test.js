@@ -0,0 +1,112 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  AudioFeatureExtractor,
+  bandEnergy,
+  binFrequency,
+  defaultBands,
+  spectralCentroid,
+  spectralFlux
+} from '../src/audio-features.js';
+
+const SAMPLE_RATE = 44100;
+const BIN_COUNT = 256;
+const FRAME = 1 / 60;
+
+// 256 bins at 44.1 kHz are ~86 Hz wide: bass is bins 1-2, mid 3-23, treble 24-127
+function spectrum(levels = {}) {
+  const data = new Uint8Array(BIN_COUNT);
+  Object.entries(levels).forEach(([range, value]) => {
+    const [from, to = from] = range.split('-').map(Number);
+    data.fill(value, from, to + 1);
+  });
+  return data;
+}
+
+const quiet = spectrum({ '1-40': 40 });
+const hit = spectrum({ '1-40': 40, '1-2': 250, '3-10': 200 });
+
+function feed(extractor, frames) {
+  return frames.map((frame) => ({ ...extractor.process(frame, FRAME) }));
+}
+
+test('bandEnergy averages the bins inside each default band', () => {
+  const data = spectrum({ '1-2': 255, '3-23': 102, '24-127': 51 });
+  assert.equal(bandEnergy(data, defaultBands.bass, SAMPLE_RATE), 1);
+  assert.equal(bandEnergy(data, defaultBands.mid, SAMPLE_RATE), 0.4);
+  assert.equal(bandEnergy(data, defaultBands.treble, SAMPLE_RATE), 0.2);
+  assert.equal(bandEnergy(spectrum(), defaultBands.bass, SAMPLE_RATE), 0);
+});
+
+test('bandEnergy falls back to the enclosing bin for a band narrower than one bin', () => {
+  const data = spectrum({ 1: 204 });
+  assert.equal(bandEnergy(data, [100, 110], SAMPLE_RATE), 0.8);
+});
+
+test('spectralCentroid is the magnitude-weighted mean frequency', () => {
+  assert.equal(spectralCentroid(spectrum({ 10: 200 }), SAMPLE_RATE), binFrequency(10, BIN_COUNT, SAMPLE_RATE));
+  const pair = spectralCentroid(spectrum({ 10: 100, 30: 100 }), SAMPLE_RATE);
+  assert.ok(Math.abs(pair - binFrequency(20, BIN_COUNT, SAMPLE_RATE)) < 1e-9);
+  const weighted = spectralCentroid(spectrum({ 10: 150, 30: 50 }), SAMPLE_RATE);
+  assert.ok(Math.abs(weighted - binFrequency(15, BIN_COUNT, SAMPLE_RATE)) < 1e-9);
+  assert.equal(spectralCentroid(spectrum(), SAMPLE_RATE), 0);
+});
+
+test('spectralFlux only counts rising bins', () => {
+  assert.equal(spectralFlux(hit, null), 0);
+  assert.equal(spectralFlux(quiet, hit), 0);
+  const rise = (210 * 2 + 160 * 8) / (BIN_COUNT * 255);
+  assert.ok(Math.abs(spectralFlux(hit, quiet) - rise) < 1e-12);
+});
+
+test('process reports smoothed bands and brightness from a stored spectrum', () => {
+  const extractor = new AudioFeatureExtractor({ sampleRate: SAMPLE_RATE });
+  const data = spectrum({ '1-2': 255, '3-23': 102, '24-127': 51 });
+  let features;
+  for (let i = 0; i < 120; i++) {
+    features = extractor.process(data, FRAME);
+  }
+  assert.ok(Math.abs(features.bass - 1) < 1e-3);
+  assert.ok(Math.abs(features.mid - 0.4) < 1e-3);
+  assert.ok(Math.abs(features.treble - 0.2) < 1e-3);
+  assert.equal(features.centroid, spectralCentroid(data, SAMPLE_RATE));
+  assert.equal(features.brightness, features.centroid / (SAMPLE_RATE / 4));
+
+  // silence decays the bands but keeps the last centroid
+  features = extractor.process(null, 0.1);
+  assert.ok(features.bass < 1);
+  assert.equal(features.centroid, spectralCentroid(data, SAMPLE_RATE));
+});
+
+test('no beat fires until eight frames of flux history exist', () => {
+  const early = new AudioFeatureExtractor({ sampleRate: SAMPLE_RATE });
+  // the hit lands on the eighth frame, with only seven frames of history behind it
+  const earlyFrames = feed(early, [...Array(7).fill(quiet), hit]);
+  assert.ok(earlyFrames.every((frame) => !frame.beat));
+
+  const ready = new AudioFeatureExtractor({ sampleRate: SAMPLE_RATE });
+  const readyFrames = feed(ready, [...Array(8).fill(quiet), hit]);
+  assert.deepEqual(readyFrames.map((frame) => frame.beat), [...Array(8).fill(false), true]);
+  assert.ok(readyFrames[8].beatStrength > 0 && readyFrames[8].beatStrength <= 1);
+});
+
+test('a second onset inside minBeatInterval is locked out', () => {
+  const extractor = new AudioFeatureExtractor({ sampleRate: SAMPLE_RATE, minBeatInterval: 0.28 });
+  const beats = [];
+  extractor.onBeat((features) => beats.push(features.beatStrength));
+
+  // onsets at frames 10, 16 (0.1 s later) and 28 (0.3 s after the first)
+  const frames = Array.from({ length: 40 }, (_, index) => ([10, 16, 28].includes(index) ? hit : quiet));
+  const onsets = feed(extractor, frames)
+    .map((frame, index) => (frame.beat ? index : -1))
+    .filter((index) => index >= 0);
+  assert.deepEqual(onsets, [10, 28]);
+  assert.equal(beats.length, 2);
+  assert.ok(beats.every((strength) => strength > 0 && strength <= 1));
+
+  // the locked-out onset still registered as flux, and fires once the lockout is off
+  assert.ok(extractor.fluxHistory[16] > extractor.minFlux);
+  const unlocked = new AudioFeatureExtractor({ sampleRate: SAMPLE_RATE, minBeatInterval: 0 });
+  assert.equal(feed(unlocked, frames)[16].beat, true);
+});
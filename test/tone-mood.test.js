@@ -0,0 +1,110 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { analyzeTone, hexToRgb, mapToneToMood, moodTable, toneLexicon } from '../src/tone-mood.js';
+
+function anchorRange(key) {
+  const values = moodTable.anchors.map((anchor) => anchor.mood[key]);
+  return [Math.min(...values), Math.max(...values)];
+}
+
+function assertBetween(value, min, max, label) {
+  assert.ok(value >= min - 1e-9 && value <= max + 1e-9, `${label} ${value} outside [${min}, ${max}]`);
+}
+
+test('a sentence with no lexicon words stays at the midpoint', () => {
+  const tone = analyzeTone('The corridor leads to a door.');
+  assert.equal(tone.subjectivity, 0.5);
+  assert.equal(tone.valence, 0);
+  assert.equal(tone.arousal, 0);
+  assert.equal(tone.wordCount, 6);
+});
+
+test('the empty string scores as undecided rather than objective', () => {
+  assert.deepEqual(analyzeTone(''), { subjectivity: 0.5, valence: 0, arousal: 0, wordCount: 0 });
+  assert.deepEqual(analyzeTone(null), analyzeTone(''));
+});
+
+test('technical wording is fully objective and neutral', () => {
+  const tone = analyzeTone('The data panel shows the recorded information.');
+  assert.equal(tone.subjectivity, 0);
+  assert.equal(tone.valence, 0);
+});
+
+test('positive and negative sentences are subjective with opposite valence', () => {
+  const positive = analyzeTone('I love this, it is wonderful!');
+  const negative = analyzeTone('I feel so sad and lonely.');
+  assert.equal(positive.subjectivity, 1);
+  assert.equal(negative.subjectivity, 1);
+  assert.ok(positive.valence > 0.7, `positive valence ${positive.valence}`);
+  assert.ok(negative.valence < -0.7, `negative valence ${negative.valence}`);
+  assert.ok(positive.arousal > 0.5);
+  assert.ok(negative.arousal > 0.5);
+});
+
+test('a negation up to two words back flips and damps the score', () => {
+  const plain = analyzeTone('I am sad.');
+  const negated = analyzeTone('I am not sad.');
+  const twoBack = analyzeTone('I am not very sad.');
+  assert.ok(plain.valence < 0);
+  assert.ok(negated.valence > 0);
+  assert.ok(negated.valence < Math.abs(plain.valence));
+  assert.ok(twoBack.valence > 0);
+  assert.ok(analyzeTone('not happy').valence < 0);
+});
+
+test('"miss" counts as both a subjective word and a negative one', () => {
+  assert.ok(toneLexicon.subjective.includes('miss'));
+  assert.ok(toneLexicon.valence.miss < 0);
+  const tone = analyzeTone('miss');
+  assert.equal(tone.subjectivity, 1);
+  assert.ok(tone.valence < 0);
+});
+
+test('"cannot" scores negative on its own and also negates the next word', () => {
+  assert.ok(toneLexicon.negations.includes('cannot'));
+  assert.ok(toneLexicon.valence.cannot < 0);
+  assert.ok(analyzeTone('cannot').valence < 0);
+  // -0.4 for "cannot" plus love (2.4) flipped to -1.44
+  const tone = analyzeTone('cannot love');
+  assert.ok(Math.abs(tone.valence - -1.84 / Math.sqrt(1.84 * 1.84 + 15)) < 1e-9);
+});
+
+test('"never" counts as subjective and negates what follows', () => {
+  assert.ok(toneLexicon.negations.includes('never'));
+  assert.ok(toneLexicon.subjective.includes('never'));
+  const tone = analyzeTone('never sad');
+  assert.equal(tone.subjectivity, 1);
+  assert.ok(tone.valence > 0);
+});
+
+test('mapToneToMood stays inside the range spanned by the anchors', () => {
+  const [tintStrengthMin, tintStrengthMax] = anchorRange('tintStrength');
+  const [glowMin, glowMax] = anchorRange('glow');
+  const [speedMin, speedMax] = anchorRange('speed');
+  const [glitchMin, glitchMax] = anchorRange('glitch');
+  for (let subjectivity = 0; subjectivity <= 1; subjectivity += 0.25) {
+    for (let valence = -1; valence <= 1; valence += 0.25) {
+      for (const arousal of [0, 0.5, 1]) {
+        const mood = mapToneToMood({ subjectivity, valence, arousal });
+        const label = `(${subjectivity}, ${valence}, ${arousal})`;
+        mood.tint.forEach((channel) => assertBetween(channel, 0, 1, `${label} tint`));
+        assertBetween(mood.tintStrength, tintStrengthMin, tintStrengthMax, `${label} tintStrength`);
+        assertBetween(mood.glow, glowMin, glowMax, `${label} glow`);
+        // arousal lifts speed by up to 15% and glitch by up to 20%
+        assertBetween(mood.speed, speedMin, speedMax * 1.15, `${label} speed`);
+        assertBetween(mood.glitch, glitchMin, glitchMax * 1.2, `${label} glitch`);
+      }
+    }
+  }
+});
+
+test('mapToneToMood lands on an anchor when the tone sits on it', () => {
+  moodTable.anchors.forEach((anchor) => {
+    const mood = mapToneToMood({ subjectivity: anchor.subjectivity, valence: anchor.valence, arousal: 0 });
+    const tint = hexToRgb(anchor.mood.tint);
+    mood.tint.forEach((channel, index) => assert.ok(Math.abs(channel - tint[index]) < 0.01, anchor.name));
+    assert.ok(Math.abs(mood.glow - anchor.mood.glow) < 0.01, anchor.name);
+    assert.ok(Math.abs(mood.glitch - anchor.mood.glitch) < 0.01, anchor.name);
+  });
+});